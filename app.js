@@ -9,7 +9,7 @@
  * - Text to token encoding with vocabulary lookup
  * - Token to text decoding with sequence visualization
  * - Predefined vocabulary dictionary with search
- * - ASCII fallback for unknown characters
+ * - UTF-8 byte fallback for unknown characters
  * - Real-time text analysis and statistics
  * - Copy to clipboard functionality
  * - Responsive neon green dark theme
@@ -68,8 +68,13 @@ class TokenVisualizerApp {
      * Validate that required dependencies are loaded
      */
     validateDependencies() {
-        const requiredGlobals = ['tokenizer', 'uiManager'];
-        const missing = requiredGlobals.filter(dep => !window[dep]);
+        // Top-level consts such as tokenizer are global but not properties of window
+        const requiredGlobals = {
+            tokenizer: typeof tokenizer !== 'undefined',
+            tokenizerApi: typeof tokenizerApi !== 'undefined',
+            uiManager: !!window.uiManager
+        };
+        const missing = Object.keys(requiredGlobals).filter(dep => !requiredGlobals[dep]);
         
         if (missing.length > 0) {
             throw new Error(`Missing dependencies: ${missing.join(', ')}`);
@@ -94,6 +99,44 @@ class TokenVisualizerApp {
                 totalTokensGenerated: 0
             }
         };
+
+        // A shared link carries the state to restore in its hash
+        this.restoreSharedState();
+    }
+
+    /**
+     * Restore the state encoded in the URL hash, if any
+     */
+    async restoreSharedState() {
+        try {
+            const state = await shareState.fromHash(window.location.hash);
+            if (!state) return;
+
+            const warnings = shareState.apply(state, uiManager);
+            if (warnings.length > 0) {
+                uiManager.showToast(warnings.join('. '), 'warning');
+            } else {
+                uiManager.showToast('Restored shared state', 'success');
+            }
+        } catch (error) {
+            this.handleError(`Could not restore the shared link: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Write the current state into the URL hash after changes settle
+     */
+    scheduleShareUpdate() {
+        clearTimeout(this.shareTimeout);
+        this.shareTimeout = setTimeout(async () => {
+            try {
+                const hash = await shareState.toHash(shareState.capture(uiManager));
+                // replaceState keeps every keystroke out of the browser history
+                history.replaceState(null, '', hash);
+            } catch (error) {
+                this.handleError('Could not update the shared link', error);
+            }
+        }, 400);
     }
 
     /**
@@ -111,6 +154,14 @@ class TokenVisualizerApp {
         
         // Handle errors globally
         window.addEventListener('error', (e) => this.handleGlobalError(e));
+
+        // Keep the URL hash in step with the page so it can be shared
+        document.addEventListener('input', () => this.scheduleShareUpdate());
+        document.addEventListener('change', () => this.scheduleShareUpdate());
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.tab-btn, #show-ascii-btn')) this.scheduleShareUpdate();
+        });
+        window.addEventListener('hashchange', () => this.restoreSharedState());
     }
 
     /**
@@ -300,7 +351,7 @@ class TokenVisualizerApp {
                 'Vocabulary dictionary viewer',
                 'Real-time text visualization',
                 'Copy to clipboard functionality',
-                'ASCII fallback support'
+                'UTF-8 byte fallback support'
             ],
             author: 'AI Token Visualizer Team',
             initialized: this.initialized
@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+/**
+ * ===== AI TOKEN VISUALIZER - COMMAND LINE MODULE =====
+ *
+ * This module is the token-viz command, built on the tokenizer library, including:
+ * - encode, decode and count for files or stdin
+ * - vocab to inspect, search and validate a vocabulary
+ * - Vocabulary files and tokenizer selection
+ * - Plain text or JSON output
+ * - A --max-tokens budget that fails the command when any input exceeds it
+ *
+ * Exit status: 0 on success, 1 when an input exceeds --max-tokens,
+ * 2 on usage errors or unreadable input.
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+class TokenVizCli {
+    /**
+     * @param {Object} library - Tokenizer library (dist/token-visualizer.umd.js)
+     * @param {Object} io - stdin text reader, stdout and stderr streams
+     */
+    constructor(library, io) {
+        this.library = library;
+        this.api = library.createTokenizer();
+        this.io = io;
+    }
+
+    /**
+     * Run a command line
+     * @param {Array} argv - Arguments after the program name
+     * @returns {number} - Exit status
+     */
+    run(argv) {
+        let args;
+        try {
+            args = parseArgs({ args: argv, options: TokenVizCli.OPTIONS, allowPositionals: true });
+        } catch (error) {
+            return this.fail(error.message);
+        }
+
+        const { values, positionals } = args;
+        if (values.version) {
+            this.io.stdout.write(`${this.library.version}\n`);
+            return 0;
+        }
+
+        const [command, ...files] = positionals;
+        if (values.help || !command) {
+            this.io.stdout.write(TokenVizCli.USAGE);
+            return values.help ? 0 : 2;
+        }
+        if (!TokenVizCli.COMMANDS.includes(command)) {
+            return this.fail(`Unknown command: ${command}`);
+        }
+
+        const format = values.json ? 'json' : values.format;
+        if (!['text', 'json'].includes(format)) {
+            return this.fail(`Unknown format: ${format} (use text or json)`);
+        }
+
+        let maxTokens = null;
+        if (values['max-tokens'] !== undefined) {
+            if (!TokenVizCli.BUDGET_COMMANDS.includes(command)) {
+                return this.fail(`--max-tokens only applies to ${TokenVizCli.BUDGET_COMMANDS.join(' and ')}`);
+            }
+            if (!/^\d+$/.test(values['max-tokens'])) {
+                return this.fail(`--max-tokens must be a non-negative integer, got "${values['max-tokens']}"`);
+            }
+            maxTokens = Number(values['max-tokens']);
+        }
+
+        try {
+            this.setupTokenizer(values.vocab || [], values.tokenizer);
+            const options = { format: format, maxTokens: maxTokens, search: values.search || '' };
+            if (command === 'vocab') return this.vocab(options);
+            return this[command](this.readInputs(files), options);
+        } catch (error) {
+            return this.fail(error.message);
+        }
+    }
+
+    /**
+     * Load vocabulary files and select the tokenizer
+     * @param {Array} vocabFiles - Paths of the vocabulary files (e.g. vocab.json and merges.txt)
+     * @param {string} name - Tokenizer name (optional)
+     */
+    setupTokenizer(vocabFiles, name) {
+        if (vocabFiles.length > 0) {
+            const contents = {};
+            vocabFiles.forEach(file => {
+                contents[path.basename(file)] = fs.readFileSync(file, 'utf8');
+            });
+
+            const loaded = this.api.loadVocabulary(contents);
+            if (!loaded.report.valid) {
+                this.io.stderr.write(`warning: ${loaded.name}: ${this.api.validateVocabulary().summary}\n`);
+            }
+        }
+
+        if (name) {
+            const names = this.api.listTokenizers().map(tokenizer => tokenizer.name);
+            if (!names.includes(name)) {
+                throw new Error(`Unknown tokenizer: ${name} (available: ${names.join(', ')})`);
+            }
+            this.api.useTokenizer(name);
+        }
+    }
+
+    /**
+     * Read the input files, or stdin when none (or '-') are given
+     * @param {Array} files - File paths
+     * @returns {Array} - Inputs with file name and text
+     */
+    readInputs(files) {
+        if (files.length === 0) files = ['-'];
+        return files.map(file => ({
+            file: file === '-' ? '<stdin>' : file,
+            text: file === '-' ? this.io.readStdin() : fs.readFileSync(file, 'utf8')
+        }));
+    }
+
+    /**
+     * Print the token ids of each input
+     * @param {Array} inputs - Inputs with file name and text
+     * @param {Object} options - Output format and token budget
+     * @returns {number} - Exit status
+     */
+    encode(inputs, options) {
+        const results = inputs.map(input => {
+            const tokens = this.api.encode(input.text);
+            return { file: input.file, count: tokens.length, tokens: tokens };
+        });
+
+        if (options.format === 'json') {
+            this.writeJSON({ tokenizer: this.api.getTokenizer(), inputs: results });
+        } else {
+            results.forEach(result => {
+                const prefix = results.length > 1 ? `${result.file}: ` : '';
+                this.io.stdout.write(`${prefix}${result.tokens.join(' ')}\n`);
+            });
+        }
+
+        return this.checkBudget(results, options.maxTokens);
+    }
+
+    /**
+     * Print the token count of each input, with a total for several inputs
+     * @param {Array} inputs - Inputs with file name and text
+     * @param {Object} options - Output format and token budget
+     * @returns {number} - Exit status
+     */
+    count(inputs, options) {
+        const results = inputs.map(input => ({ file: input.file, count: this.api.countTokens(input.text) }));
+        const total = results.reduce((sum, result) => sum + result.count, 0);
+
+        if (options.format === 'json') {
+            this.writeJSON({
+                tokenizer: this.api.getTokenizer(),
+                inputs: results,
+                total: total,
+                maxTokens: options.maxTokens,
+                overBudget: results.filter(result => this.isOverBudget(result, options.maxTokens)).map(result => result.file)
+            });
+        } else {
+            // Laid out like wc: count, then the file name
+            results.forEach(result => this.io.stdout.write(`${result.count}\t${result.file}\n`));
+            if (results.length > 1) this.io.stdout.write(`${total}\ttotal\n`);
+        }
+
+        return this.checkBudget(results, options.maxTokens);
+    }
+
+    /**
+     * Decode each input's token ids back to text
+     * @param {Array} inputs - Inputs with file name and token list text
+     * @param {Object} options - Output format
+     * @returns {number} - Exit status
+     */
+    decode(inputs, options) {
+        const results = inputs.map(input => {
+            const parsed = this.api.parseTokenIds(input.text);
+            const malformed = parsed.errors.filter(error => error.kind === 'malformed');
+            if (malformed.length > 0) {
+                throw new Error(`${input.file}: ${malformed.map(error => error.message).join('; ')}`);
+            }
+            parsed.errors.forEach(error => this.io.stderr.write(`warning: ${input.file}: ${error.message}\n`));
+            return { file: input.file, count: parsed.ids.length, text: this.api.decode(parsed.ids) };
+        });
+
+        if (options.format === 'json') {
+            this.writeJSON({ tokenizer: this.api.getTokenizer(), inputs: results });
+        } else {
+            results.forEach(result => this.io.stdout.write(results.length > 1 ? `${result.file}: ${result.text}\n` : result.text));
+        }
+
+        return 0;
+    }
+
+    /**
+     * Describe the active vocabulary, list matching entries with --search and validate it
+     * @param {Object} options - Output format and search term
+     * @returns {number} - Exit status
+     */
+    vocab(options) {
+        const active = this.api.listTokenizers().find(tokenizer => tokenizer.name === this.api.getTokenizer());
+        const entries = this.api.getVocabulary(options.search);
+        const validation = this.api.validateVocabulary();
+
+        if (options.format === 'json') {
+            this.writeJSON({
+                tokenizer: active.name,
+                label: active.label,
+                size: this.api.getVocabulary().length,
+                validation: validation,
+                entries: options.search ? entries : undefined
+            });
+            return 0;
+        }
+
+        this.io.stdout.write(`Tokenizer: ${active.label} (${active.name})\n`);
+        this.io.stdout.write(`Entries: ${this.api.getVocabulary().length}\n`);
+        this.io.stdout.write(`${validation.summary}\n`);
+        if (options.search) {
+            entries.forEach(entry => this.io.stdout.write(`${entry.id}\t${JSON.stringify(entry.token)}\n`));
+        }
+        return 0;
+    }
+
+    /**
+     * Check whether an input is over the token budget
+     * @param {Object} result - Result with a token count
+     * @param {number|null} maxTokens - Budget, or null for none
+     * @returns {boolean} - True when over budget
+     */
+    isOverBudget(result, maxTokens) {
+        return maxTokens !== null && result.count > maxTokens;
+    }
+
+    /**
+     * Report inputs over the token budget on stderr
+     * @param {Array} results - Results with file name and token count
+     * @param {number|null} maxTokens - Budget, or null for none
+     * @returns {number} - Exit status: 1 when any input is over budget
+     */
+    checkBudget(results, maxTokens) {
+        const over = results.filter(result => this.isOverBudget(result, maxTokens));
+        over.forEach(result => {
+            this.io.stderr.write(`${result.file}: ${result.count} tokens exceeds --max-tokens ${maxTokens} by ${result.count - maxTokens}\n`);
+        });
+        return over.length > 0 ? 1 : 0;
+    }
+
+    /**
+     * Write a value as pretty-printed JSON
+     * @param {Object} value - Value to write
+     */
+    writeJSON(value) {
+        this.io.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+    }
+
+    /**
+     * Report a usage or input error
+     * @param {string} message - Error message
+     * @returns {number} - Exit status 2
+     */
+    fail(message) {
+        this.io.stderr.write(`token-viz: ${message}\nRun "token-viz --help" for usage.\n`);
+        return 2;
+    }
+}
+
+/**
+ * Subcommands
+ */
+TokenVizCli.COMMANDS = ['encode', 'decode', 'count', 'vocab'];
+
+/**
+ * Subcommands that check --max-tokens
+ */
+TokenVizCli.BUDGET_COMMANDS = ['encode', 'count'];
+
+/**
+ * Options accepted by every subcommand, in util.parseArgs form
+ */
+TokenVizCli.OPTIONS = {
+    tokenizer: { type: 'string', short: 't' },
+    vocab: { type: 'string', short: 'v', multiple: true },
+    format: { type: 'string', short: 'f', default: 'text' },
+    json: { type: 'boolean' },
+    'max-tokens': { type: 'string', short: 'm' },
+    search: { type: 'string', short: 's' },
+    help: { type: 'boolean', short: 'h' },
+    version: { type: 'boolean' }
+};
+
+/**
+ * Help text
+ */
+TokenVizCli.USAGE = `Usage: token-viz <command> [options] [files...]
+
+Commands:
+  encode    Print token ids (space-separated) for each input
+  decode    Decode token ids (JSON, comma/space lists, 0x hex, Python output) to text
+  count     Print the token count of each input, and a total for several inputs
+  vocab     Describe and validate the active vocabulary; --search lists entries
+
+Inputs are files; with no files, or "-", stdin is read.
+
+Options:
+  -t, --tokenizer <name>   word, bpe, wordpiece, unigram, or imported after --vocab
+  -v, --vocab <file>       Vocabulary file; repeat for vocab.json + merges.txt.
+                           tokenizer.json and WordPiece vocab.txt are accepted too
+  -f, --format <format>    text (default) or json
+      --json               Same as --format json
+  -m, --max-tokens <n>     With encode or count: exit with status 1 when any input
+                           has more than n tokens
+  -s, --search <text>      With vocab: list entries containing the text
+  -h, --help               Show this help
+      --version            Show the version
+
+Exit status: 0 on success, 1 when --max-tokens is exceeded, 2 on errors.
+`;
+
+if (require.main === module) {
+    const bundle = path.join(__dirname, '..', 'dist', 'token-visualizer.umd.js');
+    let library;
+    try {
+        library = require(bundle);
+    } catch (error) {
+        // Only a missing bundle means "not built"; errors inside it are reported as they are
+        if (error.code === 'MODULE_NOT_FOUND' && error.message.includes(bundle)) {
+            process.stderr.write('token-viz: dist/token-visualizer.umd.js not found; run "npm run build" first\n');
+        } else {
+            process.stderr.write(`token-viz: could not load dist/token-visualizer.umd.js: ${error.stack}\n`);
+        }
+        process.exit(2);
+    }
+
+    // A reader that stops early (e.g. `| head`) closes the pipe; stop quietly instead of crashing
+    process.stdout.on('error', error => {
+        if (error.code === 'EPIPE') process.exit(process.exitCode || 0);
+        throw error;
+    });
+
+    const cli = new TokenVizCli(library, {
+        readStdin: () => fs.readFileSync(0, 'utf8'),
+        stdout: process.stdout,
+        stderr: process.stderr
+    });
+    process.exitCode = cli.run(process.argv.slice(2));
+}
+
+module.exports = TokenVizCli;
@@ -0,0 +1,176 @@
+/**
+ * ===== AI TOKEN VISUALIZER - BPE TRAINER MODULE =====
+ *
+ * This module learns a byte-level BPE vocabulary from a text corpus:
+ * - Corpus pre-tokenization and word frequency counting
+ * - Incremental pair counting so each merge only revisits affected words
+ * - One merge at a time, so callers can report progress between merges
+ *
+ * The same file runs as a Web Worker (posting merges back to the page)
+ * or as a regular script when workers are unavailable.
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class BPETrainer {
+    constructor() {
+        this.byteEncoder = BPEEncoder.bytesToUnicode();
+    }
+
+    /**
+     * Count words in the corpus and set up the initial byte-level pairs
+     * @param {string} corpus - Training text
+     * @param {number} vocabSize - Target vocabulary size (at least 256)
+     */
+    prepare(corpus, vocabSize) {
+        this.vocabSize = vocabSize;
+        this.merges = [];
+        this.vocab = new Map();
+
+        // Base vocabulary: one symbol per byte
+        for (const symbol of this.byteEncoder.values()) {
+            this.vocab.set(symbol, this.vocab.size);
+        }
+
+        const wordCounts = new Map();
+        for (const word of corpus.match(PreTokenizer.PATTERNS.gpt2) || []) {
+            wordCounts.set(word, (wordCounts.get(word) || 0) + 1);
+        }
+
+        const encoder = new TextEncoder();
+        this.words = [];
+        this.counts = [];
+        for (const [word, count] of wordCounts.entries()) {
+            this.words.push(Array.from(encoder.encode(word)).map(byte => this.byteEncoder.get(byte)));
+            this.counts.push(count);
+        }
+
+        // pair key -> frequency, and pair key -> indices of words containing it
+        this.pairCounts = new Map();
+        this.pairWords = new Map();
+        this.words.forEach((symbols, index) => this.addPairs(index, symbols));
+    }
+
+    /**
+     * Add the adjacent pairs of a word to the pair statistics
+     * @param {number} index - Word index
+     * @param {Array} symbols - Current symbols of the word
+     */
+    addPairs(index, symbols) {
+        for (let i = 0; i < symbols.length - 1; i++) {
+            const key = `${symbols[i]} ${symbols[i + 1]}`;
+            this.pairCounts.set(key, (this.pairCounts.get(key) || 0) + this.counts[index]);
+            if (!this.pairWords.has(key)) this.pairWords.set(key, new Set());
+            this.pairWords.get(key).add(index);
+        }
+    }
+
+    /**
+     * Remove the adjacent pairs of a word from the pair statistics
+     * @param {number} index - Word index
+     * @param {Array} symbols - Current symbols of the word
+     */
+    removePairs(index, symbols) {
+        for (let i = 0; i < symbols.length - 1; i++) {
+            const key = `${symbols[i]} ${symbols[i + 1]}`;
+            const count = this.pairCounts.get(key) - this.counts[index];
+            if (count > 0) {
+                this.pairCounts.set(key, count);
+            } else {
+                this.pairCounts.delete(key);
+            }
+            const words = this.pairWords.get(key);
+            if (words) words.delete(index);
+        }
+    }
+
+    /**
+     * Learn the next merge: the most frequent adjacent pair
+     * Ties go to the alphabetically first pair so training is deterministic
+     * @returns {Object|null} - Merge details, or null when training is finished
+     */
+    nextMerge() {
+        if (this.vocab.size >= this.vocabSize) return null;
+
+        let bestKey = null;
+        let bestCount = 0;
+        for (const [key, count] of this.pairCounts.entries()) {
+            if (count > bestCount || (count === bestCount && key < bestKey)) {
+                bestKey = key;
+                bestCount = count;
+            }
+        }
+
+        // Every word is a single symbol: nothing left to merge
+        if (!bestKey) return null;
+
+        const [left, right] = bestKey.split(' ');
+        const merged = left + right;
+
+        Array.from(this.pairWords.get(bestKey) || []).forEach(index => {
+            const symbols = this.words[index];
+            this.removePairs(index, symbols);
+
+            const next = [];
+            for (let i = 0; i < symbols.length; i++) {
+                if (i < symbols.length - 1 && symbols[i] === left && symbols[i + 1] === right) {
+                    next.push(merged);
+                    i++;
+                } else {
+                    next.push(symbols[i]);
+                }
+            }
+
+            this.words[index] = next;
+            this.addPairs(index, next);
+        });
+
+        this.merges.push(bestKey);
+        if (!this.vocab.has(merged)) this.vocab.set(merged, this.vocab.size);
+
+        return {
+            rank: this.merges.length - 1,
+            pair: [left, right],
+            frequency: bestCount,
+            tokenId: this.vocab.get(merged)
+        };
+    }
+
+    /**
+     * Get the learned vocabulary and merges
+     * @returns {Object} - Vocabulary (token -> id) and merge rules
+     */
+    getResult() {
+        return {
+            vocab: Object.fromEntries(this.vocab),
+            merges: this.merges.slice()
+        };
+    }
+}
+
+// When loaded as a Web Worker, train on request and stream merges back
+if (typeof document === 'undefined' && typeof importScripts === 'function') {
+    importScripts('pretokenizer.js', 'bpe.js');
+
+    self.onmessage = (event) => {
+        const { corpus, vocabSize } = event.data;
+        const trainer = new BPETrainer();
+        trainer.prepare(corpus, vocabSize);
+        self.postMessage({ type: 'start', words: trainer.words.length });
+
+        // Batch merges so the page is not flooded with messages
+        let batch = [];
+        let merge;
+        while ((merge = trainer.nextMerge())) {
+            batch.push(merge);
+            if (batch.length === 25) {
+                self.postMessage({ type: 'merges', merges: batch });
+                batch = [];
+            }
+        }
+        if (batch.length > 0) self.postMessage({ type: 'merges', merges: batch });
+
+        self.postMessage({ type: 'done', result: trainer.getResult() });
+    };
+}
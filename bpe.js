@@ -0,0 +1,344 @@
+/**
+ * ===== AI TOKEN VISUALIZER - BPE MODULE =====
+ *
+ * This module implements a byte-level byte-pair encoding (BPE) engine
+ * in the style of GPT-2, including:
+ * - Byte to unicode mapping so every byte has a printable symbol
+ * - Merge rule loading with rank-ordered merging
+ * - Step-by-step merge recording for the encoding sequence view
+ * - Streaming UTF-8 decoding of byte-level tokens
+ * - Character offsets for every token
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class BPEEncoder {
+    /**
+     * @param {Object} options - Encoder options
+     * @param {string} options.name - Display name of the encoder
+     * @param {Object|Map} options.vocab - Token string to id mapping (optional)
+     * @param {Array} options.merges - Merge rules as "a b" strings or [a, b] pairs
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'Byte-level BPE';
+        this.type = 'bpe';
+
+        // GPT-2 splits before merging; any other pre-tokenizer mode can be set
+        this.preTokenizer = new PreTokenizer({ mode: 'gpt2' });
+
+        // Map every byte to a printable unicode symbol and back
+        this.byteEncoder = BPEEncoder.bytesToUnicode();
+        this.byteDecoder = new Map();
+        for (const [byte, symbol] of this.byteEncoder.entries()) {
+            this.byteDecoder.set(symbol, byte);
+        }
+
+        this.loadVocabulary(options.vocab, options.merges || BPEEncoder.DEFAULT_MERGES);
+    }
+
+    /**
+     * Build the GPT-2 byte to unicode table
+     * Printable bytes map to themselves, the rest are shifted above 255
+     * @returns {Map} - Map of byte value to symbol
+     */
+    static bytesToUnicode() {
+        const bytes = [];
+        const ranges = [[33, 126], [161, 172], [174, 255]];
+        ranges.forEach(([start, end]) => {
+            for (let b = start; b <= end; b++) bytes.push(b);
+        });
+
+        const codepoints = bytes.slice();
+        let shift = 0;
+        for (let b = 0; b < 256; b++) {
+            if (!bytes.includes(b)) {
+                bytes.push(b);
+                codepoints.push(256 + shift);
+                shift++;
+            }
+        }
+
+        const table = new Map();
+        bytes.forEach((byte, index) => {
+            table.set(byte, String.fromCharCode(codepoints[index]));
+        });
+        return table;
+    }
+
+    /**
+     * Load merge rules and vocabulary
+     * When no vocabulary is given, one is derived from the byte symbols and merges
+     * @param {Object|Map} vocab - Token string to id mapping (optional)
+     * @param {Array} merges - Merge rules as "a b" strings or [a, b] pairs
+     */
+    loadVocabulary(vocab, merges) {
+        this.mergeRanks = new Map();
+        this.merges = [];
+
+        merges.forEach(rule => {
+            const pair = Array.isArray(rule) ? rule : rule.split(' ');
+            if (pair.length !== 2 || this.mergeRanks.has(pair.join(' '))) return;
+            this.mergeRanks.set(pair.join(' '), this.merges.length);
+            this.merges.push(pair);
+        });
+
+        this.vocabulary = new Map();
+        this.reverseVocabulary = new Map();
+
+        if (vocab) {
+            const entries = vocab instanceof Map ? vocab.entries() : Object.entries(vocab);
+            for (const [token, tokenId] of entries) {
+                this.vocabulary.set(token, Number(tokenId));
+                this.reverseVocabulary.set(Number(tokenId), token);
+            }
+        } else {
+            let tokenId = 0;
+            for (const symbol of this.byteEncoder.values()) {
+                this.vocabulary.set(symbol, tokenId);
+                this.reverseVocabulary.set(tokenId, symbol);
+                tokenId++;
+            }
+            this.merges.forEach(([left, right]) => {
+                const merged = left + right;
+                if (this.vocabulary.has(merged)) return;
+                this.vocabulary.set(merged, tokenId);
+                this.reverseVocabulary.set(tokenId, merged);
+                tokenId++;
+            });
+        }
+
+        this.unkTokenId = this.vocabulary.has('<unk>') ? this.vocabulary.get('<unk>') : null;
+    }
+
+    /**
+     * Encode text to tokens by applying merges to each pre-token
+     * @param {string} text - Input text to encode
+     * @returns {Object} - Encoding result with tokens and steps
+     */
+    encode(text) {
+        if (!text) return { tokens: [], steps: [] };
+
+        const tokens = [];
+        const offsets = [];
+        const segments = this.preTokenizer.split(text);
+        const steps = [this.preTokenizer.createStep(text, segments)];
+
+        segments.forEach(segment => {
+            const symbols = this.toByteSymbols(segment.text);
+            const firstStep = steps.length;
+            const pieces = this.applyMerges(symbols, steps, segment.text);
+
+            // The split and every merge work on this segment; the last one emits its pieces
+            steps.slice(firstStep).forEach(step => { step.span = [segment.start, segment.end]; });
+            steps[steps.length - 1].emitted = pieces.length;
+            const byteOffsets = Normalizer.mapBytes(segment.text, segment.start);
+
+            // Each symbol is one byte; a piece spans the characters of its bytes
+            let byteIndex = 0;
+            pieces.forEach(piece => {
+                const length = Array.from(piece).length;
+                tokens.push(this.pieceToId(piece));
+                offsets.push([byteOffsets[byteIndex][0], byteOffsets[byteIndex + length - 1][1]]);
+                byteIndex += length;
+            });
+        });
+
+        return {
+            tokens: tokens,
+            offsets: offsets,
+            steps: steps,
+            originalText: text,
+            tokenCount: tokens.length,
+            characterCount: text.length
+        };
+    }
+
+    /**
+     * Decode tokens back to text, streaming bytes through a UTF-8 decoder
+     * @param {Array} tokens - Array of token IDs
+     * @returns {Object} - Decoding result with text and steps
+     */
+    decode(tokens) {
+        if (!tokens || tokens.length === 0) return { text: '', steps: [] };
+
+        const steps = [];
+        const decoder = new TextDecoder('utf-8');
+        let decodedText = '';
+
+        tokens.forEach((token, index) => {
+            const step = {
+                step: index + 1,
+                input: token,
+                process: '',
+                output: ''
+            };
+
+            if (this.reverseVocabulary.has(token)) {
+                const piece = this.reverseVocabulary.get(token);
+                const bytes = this.idToBytes(token);
+                const text = decoder.decode(new Uint8Array(bytes), { stream: true });
+                decodedText += text;
+                step.process = `Token ${token} is "${piece}", ${bytes.length} byte(s)`;
+                step.output = text;
+            } else {
+                const unknownText = '<UNK>';
+                decodedText += unknownText;
+                step.process = `Token ${token} not found, using <UNK>`;
+                step.output = unknownText;
+            }
+
+            steps.push(step);
+        });
+
+        decodedText += decoder.decode();
+
+        return {
+            text: decodedText,
+            steps: steps,
+            tokenCount: tokens.length
+        };
+    }
+
+    /**
+     * Convert a pre-token into its byte-level symbols
+     * @param {string} word - Pre-token text
+     * @returns {Array} - Array of byte symbols
+     */
+    toByteSymbols(word) {
+        const bytes = new TextEncoder().encode(word);
+        return Array.from(bytes).map(byte => this.byteEncoder.get(byte));
+    }
+
+    /**
+     * Repeatedly merge the lowest-ranked adjacent pair, recording each merge
+     * @param {Array} symbols - Byte symbols of a single pre-token
+     * @param {Array} steps - Step list to append to
+     * @param {string} word - Original pre-token, for step display
+     * @returns {Array} - Merged pieces
+     */
+    applyMerges(symbols, steps, word) {
+        let pieces = symbols.slice();
+
+        steps.push({
+            step: steps.length + 1,
+            input: word,
+            process: `Split into ${pieces.length} byte symbol(s): ${pieces.join(' ')}`,
+            output: pieces.map(piece => this.pieceToId(piece))
+        });
+
+        while (pieces.length > 1) {
+            let bestRank = Infinity;
+            let bestPair = null;
+
+            for (let i = 0; i < pieces.length - 1; i++) {
+                const rank = this.mergeRanks.get(`${pieces[i]} ${pieces[i + 1]}`);
+                if (rank !== undefined && rank < bestRank) {
+                    bestRank = rank;
+                    bestPair = [pieces[i], pieces[i + 1]];
+                }
+            }
+
+            if (!bestPair) break;
+
+            const merged = [];
+            for (let i = 0; i < pieces.length; i++) {
+                if (i < pieces.length - 1 && pieces[i] === bestPair[0] && pieces[i + 1] === bestPair[1]) {
+                    merged.push(bestPair[0] + bestPair[1]);
+                    i++;
+                } else {
+                    merged.push(pieces[i]);
+                }
+            }
+            pieces = merged;
+
+            steps.push({
+                step: steps.length + 1,
+                input: pieces.join(' '),
+                process: `Merge #${bestRank}: "${bestPair[0]}" + "${bestPair[1]}" → "${bestPair[0] + bestPair[1]}"`,
+                output: pieces.map(piece => this.pieceToId(piece))
+            });
+        }
+
+        return pieces;
+    }
+
+    /**
+     * Look up the id of a merged piece
+     * @param {string} piece - Byte-level piece
+     * @returns {number} - Token ID (or the <unk> id when missing)
+     */
+    pieceToId(piece) {
+        return this.vocabulary.has(piece) ? this.vocabulary.get(piece) : this.unkTokenId;
+    }
+
+    /**
+     * Get the display text of a token
+     * @param {number} token - Token ID
+     * @returns {string} - Byte-level token string
+     */
+    idToToken(token) {
+        return this.reverseVocabulary.has(token) ? this.reverseVocabulary.get(token) : '<UNK>';
+    }
+
+    /**
+     * Check whether a token stands for text the vocabulary cannot represent
+     * @param {number} token - Token ID
+     * @returns {boolean} - True for the unknown token or ids outside the vocabulary
+     */
+    isUnknownToken(token) {
+        return token === this.unkTokenId || !this.reverseVocabulary.has(token);
+    }
+
+    /**
+     * Get the raw bytes a token stands for
+     * @param {number} token - Token ID
+     * @returns {Array} - Byte values
+     */
+    idToBytes(token) {
+        if (!this.reverseVocabulary.has(token)) return [];
+
+        return Array.from(this.reverseVocabulary.get(token)).map(symbol =>
+            this.byteDecoder.has(symbol) ? this.byteDecoder.get(symbol) : symbol.charCodeAt(0));
+    }
+
+    /**
+     * Get vocabulary for display
+     * @param {string} searchTerm - Optional search term
+     * @returns {Array} - Vocabulary entries
+     */
+    getVocabulary(searchTerm = '') {
+        const vocab = [];
+        const term = searchTerm.toLowerCase();
+
+        for (const [piece, tokenId] of this.vocabulary.entries()) {
+            if (!term || piece.toLowerCase().includes(term) || tokenId.toString().includes(term)) {
+                vocab.push({
+                    character: piece,
+                    token: tokenId,
+                    type: tokenId < 256 ? 'byte' : 'merge'
+                });
+            }
+        }
+
+        return vocab.sort((a, b) => a.token - b.token);
+    }
+}
+
+/**
+ * A small sample of early English merges in GPT-2's byte-level alphabet
+ * ("Ġ" is the symbol for a leading space)
+ */
+BPEEncoder.DEFAULT_MERGES = [
+    'Ġ t', 'Ġ a', 'h e', 'i n', 'r e', 'o n', 'Ġt he', 'e r', 'Ġ s', 'a t',
+    'Ġ w', 'Ġ o', 'e n', 'Ġ c', 'i t', 'i s', 'a n', 'o r', 'e s', 'Ġ b',
+    'e d', 'Ġ f', 'in g', 'Ġ p', 'o u', 'Ġa n', 'a l', 'a r', 'Ġt o', 'Ġ m',
+    'Ġo f', 'Ġ in', 'Ġ d', 'Ġ h', 'Ġan d', 'i c', 'a s', 'l e', 'Ġt h', 'i on',
+    'o m', 'l l', 'en t', 'Ġ n', 'Ġ l', 's t', 'Ġ re', 'v e', 'Ġ e', 'r o',
+    'l y', 'Ġb e', 'Ġ g', 'Ġ T', 'c t', 'Ġ S', 'i d', 'o t', 'Ġ I', 'u t',
+    'e t', 'Ġ A', 'Ġi s', 'Ġo n', 'i m', 'a m', 'o w', 'a y', 'a d', 's e',
+    'Ġth at', 'Ġ C', 'i g', 'Ġf or', 'a c', 'Ġ y', 'v er', 'u r', 'Ġ u', 'l d',
+    'Ġs t', 'Ġ M', "' s", 'Ġ he', 'Ġ it', 'at ion', 'it h', 'i r', 'c e', 'Ġy ou',
+    'i l', 'Ġ B', 'Ġw h', 'o l', 'Ġ P', 'Ġw ith', 'Ġ 1', 't er', 'c h', 'H e',
+    'l o', 'Ġw or', 'or ld', 'o k', 'ok en', 'i z', 'iz e', 'A I'
+];
@@ -0,0 +1,63 @@
+/**
+ * ===== AI TOKEN VISUALIZER - CHAT TEMPLATE MODULE =====
+ *
+ * This module turns a list of chat messages into one templated string, including:
+ * - Templates for the built-in vocabulary, ChatML and Llama 3
+ * - The special tokens each template relies on
+ * - The span of every message's content, so template overhead can be counted
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class ChatTemplate {
+    /**
+     * Render messages with a template
+     * @param {Array} messages - Messages with role ('system', 'user' or 'assistant') and content
+     * @param {string} name - Template name
+     * @returns {Object} - Templated text, [start, end) content spans and the template's special tokens
+     */
+    static render(messages, name) {
+        const template = ChatTemplate.TEMPLATES[name];
+        if (!template) throw new Error(`Unknown chat template: ${name}`);
+
+        let text = template.begin;
+        const contentSpans = [];
+
+        messages.forEach(message => {
+            text += template.prefix(message.role);
+            contentSpans.push([text.length, text.length + message.content.length]);
+            text += message.content + template.suffix;
+        });
+
+        return { text: text, contentSpans: contentSpans, specialTokens: template.specialTokens };
+    }
+}
+
+/**
+ * Available templates
+ * Each message is rendered as prefix(role) + content + suffix, after an optional begin marker
+ */
+ChatTemplate.TEMPLATES = {
+    basic: {
+        label: 'Built-in (<START> role <SEP> … <END>)',
+        begin: '',
+        prefix: role => `<START>${role}<SEP>`,
+        suffix: '<END>',
+        specialTokens: ['<START>', '<SEP>', '<END>']
+    },
+    chatml: {
+        label: 'ChatML (<|im_start|> … <|im_end|>)',
+        begin: '',
+        prefix: role => `<|im_start|>${role}\n`,
+        suffix: '<|im_end|>\n',
+        specialTokens: ['<|im_start|>', '<|im_end|>']
+    },
+    llama3: {
+        label: 'Llama 3 (<|start_header_id|> … <|eot_id|>)',
+        begin: '<|begin_of_text|>',
+        prefix: role => `<|start_header_id|>${role}<|end_header_id|>\n\n`,
+        suffix: '<|eot_id|>',
+        specialTokens: ['<|begin_of_text|>', '<|start_header_id|>', '<|end_header_id|>', '<|eot_id|>']
+    }
+};
@@ -0,0 +1,143 @@
+/**
+ * ===== AI TOKEN VISUALIZER - CHAT MODULE =====
+ *
+ * This module drives the chat template panel, including:
+ * - Editing a list of system/user/assistant messages
+ * - Rendering them with a chat template into the encoder input
+ * - Marking template tokens in the visualization and counting their overhead
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class ChatPanel {
+    /**
+     * @param {UIManager} ui - UI manager used for toasts and re-encoding
+     */
+    constructor(ui) {
+        this.ui = ui;
+        this.rendered = null;
+
+        this.elements = {
+            templateSelect: document.getElementById('chat-template-select'),
+            messages: document.getElementById('chat-messages'),
+            addBtn: document.getElementById('add-message-btn'),
+            applyBtn: document.getElementById('apply-template-btn'),
+            overhead: document.getElementById('template-overhead')
+        };
+
+        this.elements.templateSelect.innerHTML = Object.entries(ChatTemplate.TEMPLATES)
+            .map(([name, template]) => `<option value="${name}">${this.ui.escapeHtml(template.label)}</option>`)
+            .join('');
+
+        this.addMessage('system', 'You are a helpful assistant.');
+        this.addMessage('user', 'How many tokens does this message cost?');
+
+        this.elements.addBtn.addEventListener('click', () => this.addMessage('user', ''));
+        this.elements.applyBtn.addEventListener('click', () => this.handleApply());
+        this.elements.messages.addEventListener('click', (e) => {
+            const button = e.target.closest('.remove-message-btn');
+            if (button) button.closest('.chat-message').remove();
+        });
+    }
+
+    /**
+     * Append an editable message row
+     * @param {string} role - 'system', 'user' or 'assistant'
+     * @param {string} content - Message text
+     */
+    addMessage(role, content) {
+        const row = document.createElement('div');
+        row.className = 'chat-message';
+        row.innerHTML = `
+            <select class="chat-role">
+                ${['system', 'user', 'assistant'].map(option =>
+                    `<option value="${option}" ${option === role ? 'selected' : ''}>${option}</option>`
+                ).join('')}
+            </select>
+            <textarea class="chat-content" rows="2" placeholder="Message content..."></textarea>
+            <button class="remove-message-btn copy-btn" title="Remove message">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+        row.querySelector('.chat-content').value = content;
+        this.elements.messages.appendChild(row);
+    }
+
+    /**
+     * Read the messages from the editor
+     * @returns {Array} - Messages with role and content
+     */
+    getMessages() {
+        return Array.from(this.elements.messages.querySelectorAll('.chat-message')).map(row => ({
+            role: row.querySelector('.chat-role').value,
+            content: row.querySelector('.chat-content').value
+        }));
+    }
+
+    /**
+     * Render the messages into the encoder input and encode them
+     */
+    handleApply() {
+        const messages = this.getMessages();
+        if (messages.length === 0) {
+            this.ui.showToast('Add at least one message', 'warning');
+            return;
+        }
+
+        this.rendered = ChatTemplate.render(messages, this.elements.templateSelect.value);
+
+        // Template markers must be parsed as special tokens to cost one token each
+        tokenizer.setParseSpecialTokens(true);
+        this.ui.elements.specialTokensToggle.checked = true;
+
+        this.ui.elements.inputText.value = this.rendered.text;
+        this.ui.resetTokenizerResults();
+
+        const known = tokenizer.getSpecialTokens();
+        const missing = this.rendered.specialTokens.filter(token => !known.has(token));
+        if (missing.length > 0) {
+            this.ui.showToast(`Not in the active vocabulary, encoded as text: ${missing.join(' ')}`, 'warning');
+        } else {
+            this.ui.showToast(`Applied template to ${messages.length} message(s)`, 'success');
+        }
+    }
+
+    /**
+     * Mark template tokens in the visualization and show the overhead
+     * Tokens that fall outside every message's content belong to the template
+     * @param {Object|null} result - Encoding result for the current input
+     */
+    annotate(result) {
+        if (!result || !this.rendered || result.originalText !== this.rendered.text) {
+            this.elements.overhead.classList.add('hidden');
+            return;
+        }
+
+        const items = this.ui.elements.tokenVisualization.querySelectorAll('.token-item[data-start]');
+        let overhead = 0;
+
+        result.offsets.forEach(([start, end], index) => {
+            const inContent = start < end && this.rendered.contentSpans.some(([spanStart, spanEnd]) =>
+                start >= spanStart && end <= spanEnd
+            );
+            if (inContent) return;
+
+            overhead++;
+            if (items[index]) items[index].classList.add('template-token');
+        });
+
+        const percent = result.tokens.length > 0 ? (overhead / result.tokens.length * 100).toFixed(1) : '0';
+        this.elements.overhead.classList.remove('hidden');
+        this.elements.overhead.innerHTML = `
+            <i class="fas fa-comments"></i>
+            Template overhead: <strong>${overhead}</strong> of ${result.tokens.length} tokens (${percent}%),
+            message content: <strong>${result.tokens.length - overhead}</strong> tokens
+        `;
+    }
+}
+
+// Initialize Chat Panel once the UI manager exists
+document.addEventListener('DOMContentLoaded', () => {
+    window.chatPanel = new ChatPanel(window.uiManager);
+});
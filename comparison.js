@@ -0,0 +1,179 @@
+/**
+ * ===== AI TOKEN VISUALIZER - COMPARISON MODULE =====
+ *
+ * This module runs the same input through several registered tokenizers
+ * side by side, including:
+ * - One token grid per tokenizer
+ * - Token count and characters-per-token figures
+ * - Highlighting of segment boundaries the tokenizers disagree on
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class ComparisonPanel {
+    /**
+     * @param {UIManager} ui - UI manager used for shared rendering helpers
+     */
+    constructor(ui) {
+        this.ui = ui;
+        this.elements = {
+            inputText: document.getElementById('input-text'),
+            encoderList: document.getElementById('comparison-encoders'),
+            results: document.getElementById('comparison-results'),
+            summary: document.getElementById('comparison-summary')
+        };
+
+        this.selected = new Set(['word', 'bpe']);
+
+        this.elements.inputText.addEventListener('input', () => this.scheduleUpdate());
+        this.elements.encoderList.addEventListener('change', (e) => this.handleEncoderToggle(e));
+
+        this.refreshEncoders();
+    }
+
+    /**
+     * Rebuild the tokenizer checkboxes from the registered encoders
+     */
+    refreshEncoders() {
+        const encoders = tokenizer.getEncoders();
+
+        // Drop selections for encoders that no longer exist
+        const names = new Set(encoders.map(encoder => encoder.name));
+        this.selected.forEach(name => {
+            if (!names.has(name)) this.selected.delete(name);
+        });
+
+        this.elements.encoderList.innerHTML = encoders.map(encoder => `
+            <label class="checkbox-label">
+                <input type="checkbox" value="${encoder.name}" ${this.selected.has(encoder.name) ? 'checked' : ''}>
+                ${this.ui.escapeHtml(encoder.label)}
+            </label>
+        `).join('');
+
+        this.update();
+    }
+
+    /**
+     * Handle selecting or deselecting a tokenizer
+     * @param {Event} event - Change event from a checkbox
+     */
+    handleEncoderToggle(event) {
+        const checkbox = event.target;
+        if (checkbox.checked) {
+            this.selected.add(checkbox.value);
+        } else {
+            this.selected.delete(checkbox.value);
+        }
+        this.update();
+    }
+
+    /**
+     * Debounce updates while typing
+     */
+    scheduleUpdate() {
+        clearTimeout(this.updateTimeout);
+        this.updateTimeout = setTimeout(() => this.update(), 200);
+    }
+
+    /**
+     * Encode the input with every selected tokenizer and render the panel
+     */
+    update() {
+        const text = this.elements.inputText.value;
+        const encoders = tokenizer.getEncoders()
+            .filter(encoder => this.selected.has(encoder.name));
+
+        if (!text || encoders.length === 0) {
+            this.elements.results.innerHTML = `<div class="empty-state">${!text ?
+                'Enter text to compare tokenizers' : 'Select at least one tokenizer'}</div>`;
+            this.elements.summary.textContent = '';
+            return;
+        }
+
+        const runs = encoders.map(encoder => this.runEncoder(encoder, text));
+
+        // A boundary is shared when every tokenizer ends a token there
+        const shared = new Set(runs[0].boundaries);
+        runs.slice(1).forEach(run => {
+            shared.forEach(offset => {
+                if (!run.boundaries.has(offset)) shared.delete(offset);
+            });
+        });
+
+        let resultsHTML = '';
+        runs.forEach(run => {
+            const differing = new Set();
+            run.ends.forEach((end, index) => {
+                if (end !== null && !shared.has(end)) differing.add(index);
+            });
+
+            const gridHTML = tokenizer.withEncoder(run.name, () => this.ui.renderTokenGrid(run.tokens, differing));
+
+            resultsHTML += `
+                <div class="comparison-card">
+                    <div class="comparison-card-header">
+                        <h3>${this.ui.escapeHtml(run.label)}</h3>
+                        <div class="comparison-stats">
+                            <span><strong>${run.tokens.length}</strong> tokens</span>
+                            <span><strong>${run.charsPerToken}</strong> chars/token</span>
+                            <span><strong>${differing.size}</strong> differing</span>
+                            ${run.lossless ? '' : '<span class="comparison-warning">lossy</span>'}
+                        </div>
+                    </div>
+                    ${gridHTML}
+                </div>
+            `;
+        });
+
+        this.elements.results.innerHTML = resultsHTML;
+
+        const counts = runs.map(run => run.tokens.length);
+        this.elements.summary.textContent = runs.length > 1 ?
+            `Token counts range from ${Math.min(...counts)} to ${Math.max(...counts)}; ${shared.size} segment boundaries are shared by all tokenizers` :
+            '';
+    }
+
+    /**
+     * Encode text with one tokenizer and work out its segment boundaries
+     * @param {Object} encoder - Encoder name and label
+     * @param {string} text - Input text
+     * @returns {Object} - Tokens, boundary offsets and statistics
+     */
+    runEncoder(encoder, text) {
+        return tokenizer.withEncoder(encoder.name, () => {
+            const { ids: tokens, offsets } = tokenizerApi.encodeWithOffsets(text);
+
+            // End offset of each token in the input, so lowercasing or dropped whitespace cannot shift it;
+            // null when the token covers no input or the next one ends at the same place (a case marker,
+            // or part of a multi-byte character)
+            const boundaries = new Set();
+            const ends = new Array(offsets.length).fill(null);
+            let nextEnd = null;
+            for (let i = offsets.length - 1; i >= 0; i--) {
+                const [start, end] = offsets[i];
+                if (start === end) continue;
+                if (end !== nextEnd) {
+                    ends[i] = end;
+                    boundaries.add(end);
+                }
+                nextEnd = end;
+            }
+
+            return {
+                name: encoder.name,
+                label: encoder.label,
+                tokens: tokens,
+                ends: ends,
+                boundaries: boundaries,
+                lossless: tokenizer.getDecodedPieces(tokens).join('') === text,
+                charsPerToken: tokens.length > 0 ? (text.length / tokens.length).toFixed(2) : '0'
+            };
+        });
+    }
+}
+
+// Initialize Comparison Panel once the UI manager exists
+document.addEventListener('DOMContentLoaded', () => {
+    window.comparisonPanel = new ComparisonPanel(window.uiManager);
+});
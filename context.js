@@ -0,0 +1,114 @@
+/**
+ * ===== AI TOKEN VISUALIZER - CONTEXT WINDOW MODULE =====
+ *
+ * This module measures the input against a context limit, including:
+ * - Preset (2k to 128k) and custom context limits
+ * - A usage bar next to the token count
+ * - Head, tail and middle truncation strategies
+ * - Marking the tokens truncation would cut
+ * - A preview of the kept tokens decoded back to text
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class ContextPanel {
+    /**
+     * @param {UIManager} ui - UI manager that owns the token grid
+     */
+    constructor(ui) {
+        this.ui = ui;
+        this.result = null;
+
+        this.elements = {
+            limitSelect: document.getElementById('context-limit-select'),
+            limitCustom: document.getElementById('context-limit-custom'),
+            usage: document.getElementById('context-usage'),
+            bar: document.getElementById('context-bar'),
+            detail: document.getElementById('context-detail'),
+            panel: document.getElementById('truncation-panel'),
+            strategySelect: document.getElementById('truncation-strategy'),
+            summary: document.getElementById('truncation-summary'),
+            preview: document.getElementById('truncation-preview')
+        };
+
+        this.elements.strategySelect.innerHTML = Object.entries(TokenVisualizer.TRUNCATION_STRATEGIES)
+            .map(([name, label]) => `<option value="${name}">${this.ui.escapeHtml(label)}</option>`)
+            .join('');
+
+        this.elements.limitSelect.addEventListener('change', () => {
+            this.elements.limitCustom.classList.toggle('hidden', this.elements.limitSelect.value !== 'custom');
+            this.update(this.result);
+        });
+        this.elements.limitCustom.addEventListener('input', () => this.update(this.result));
+        this.elements.strategySelect.addEventListener('change', () => this.update(this.result));
+    }
+
+    /**
+     * Get the selected context limit
+     * @returns {number} - Maximum number of tokens, at least 1
+     */
+    getLimit() {
+        const value = this.elements.limitSelect.value === 'custom' ?
+            this.elements.limitCustom.value : this.elements.limitSelect.value;
+        return Math.max(1, parseInt(value, 10) || 1);
+    }
+
+    /**
+     * Show context usage and the truncation preview for an encoding
+     * @param {Object|null} result - Encoding result for the current input
+     */
+    update(result) {
+        this.result = result;
+
+        const limit = this.getLimit();
+        const count = result ? result.tokens.length : 0;
+        const percent = count / limit * 100;
+
+        this.elements.usage.textContent = `${percent > 0 && percent < 10 ? percent.toFixed(1) : Math.round(percent)}%`;
+        this.elements.bar.style.width = `${Math.min(100, percent)}%`;
+        this.elements.bar.classList.toggle('over-limit', count > limit);
+        this.elements.detail.textContent = count > limit ?
+            `${count} / ${limit} tokens (${count - limit} over)` :
+            `${count} / ${limit} tokens (${limit - count} to spare)`;
+
+        const items = this.ui.elements.tokenVisualization.querySelectorAll('.token-item[data-start]');
+        items.forEach(item => item.classList.remove('truncated', 'cut-start', 'cut-end'));
+
+        if (!result || count <= limit) {
+            this.elements.panel.classList.add('hidden');
+            return;
+        }
+
+        const truncation = tokenizer.truncateTokens(result.tokens, limit, this.elements.strategySelect.value);
+        const { removedStart, removedEnd } = truncation;
+
+        for (let i = removedStart; i < removedEnd; i++) {
+            if (items[i]) items[i].classList.add('truncated');
+        }
+        if (items[removedStart]) items[removedStart].classList.add('cut-start');
+        if (items[removedEnd - 1]) items[removedEnd - 1].classList.add('cut-end');
+
+        const cutStart = result.offsets[removedStart][0];
+        const cutEnd = result.offsets[removedEnd - 1][1];
+
+        this.elements.summary.textContent =
+            `Cuts ${truncation.removedCount} of ${count} tokens ` +
+            `(tokens ${removedStart}–${removedEnd - 1}, characters ${cutStart}–${cutEnd})`;
+
+        // Each side is decoded on its own, as a model would only ever see the kept tokens
+        const head = truncation.head.length > 0 ? tokenizerApi.decode(truncation.head) : '';
+        const tail = truncation.tail.length > 0 ? tokenizerApi.decode(truncation.tail) : '';
+
+        this.elements.preview.innerHTML =
+            this.ui.escapeHtml(head) +
+            `<span class="truncation-marker">[… ${truncation.removedCount} tokens cut …]</span>` +
+            this.ui.escapeHtml(tail);
+        this.elements.panel.classList.remove('hidden');
+    }
+}
+
+// Initialize Context Panel once the UI manager exists
+document.addEventListener('DOMContentLoaded', () => {
+    window.contextPanel = new ContextPanel(window.uiManager);
+});
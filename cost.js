@@ -0,0 +1,182 @@
+/**
+ * ===== AI TOKEN VISUALIZER - COST MODULE =====
+ *
+ * This module estimates what the current input costs, including:
+ * - Prompt and completion cost next to the compression ratio
+ * - Editing the pricing table (saved to localStorage)
+ * - Exporting the pricing table as JSON
+ * - Batch estimates: N requests × tokens per request
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class CostPanel {
+    /**
+     * @param {UIManager} ui - UI manager used for toasts and downloads
+     */
+    constructor(ui) {
+        this.ui = ui;
+        this.tokenCount = 0;
+
+        this.elements = {
+            modelSelect: document.getElementById('cost-model-select'),
+            prompt: document.getElementById('cost-prompt'),
+            detail: document.getElementById('cost-detail'),
+            rows: document.getElementById('pricing-rows'),
+            addBtn: document.getElementById('add-model-btn'),
+            exportBtn: document.getElementById('export-pricing-btn'),
+            resetBtn: document.getElementById('reset-pricing-btn'),
+            batchRequests: document.getElementById('batch-requests'),
+            batchPromptTokens: document.getElementById('batch-prompt-tokens'),
+            batchCompletionTokens: document.getElementById('batch-completion-tokens'),
+            batchEstimate: document.getElementById('batch-estimate')
+        };
+
+        this.renderPricingRows();
+        this.renderModelSelect();
+        this.refresh();
+
+        this.elements.modelSelect.addEventListener('change', () => this.refresh());
+        this.elements.rows.addEventListener('change', () => this.handlePricingEdit());
+        this.elements.rows.addEventListener('click', (e) => {
+            if (!e.target.closest('.remove-model-btn')) return;
+            e.target.closest('.pricing-row').remove();
+            this.handlePricingEdit();
+        });
+        this.elements.addBtn.addEventListener('click', () => this.addPricingRow({ name: '', prompt: 0, completion: 0 }));
+        this.elements.exportBtn.addEventListener('click', () => {
+            this.ui.downloadFile('pricing.json', pricingTable.exportJSON(), 'application/json');
+        });
+        this.elements.resetBtn.addEventListener('click', () => this.handlePricingReset());
+
+        [this.elements.batchRequests, this.elements.batchPromptTokens, this.elements.batchCompletionTokens]
+            .forEach(input => input.addEventListener('input', () => this.refresh()));
+    }
+
+    /**
+     * Fill the model selector from the pricing table, keeping the selection when possible
+     */
+    renderModelSelect() {
+        const selected = this.elements.modelSelect.value;
+        this.elements.modelSelect.innerHTML = pricingTable.models
+            .map(model => `<option value="${this.ui.escapeHtml(model.name)}">${this.ui.escapeHtml(model.name)}</option>`)
+            .join('');
+        if (pricingTable.getModel(selected)) this.elements.modelSelect.value = selected;
+    }
+
+    /**
+     * Render one editable row per model
+     */
+    renderPricingRows() {
+        this.elements.rows.innerHTML = '';
+        pricingTable.models.forEach(model => this.addPricingRow(model));
+    }
+
+    /**
+     * Append an editable pricing row
+     * @param {Object} model - Model with name, prompt and completion prices
+     */
+    addPricingRow(model) {
+        const row = document.createElement('div');
+        row.className = 'pricing-row';
+        row.innerHTML = `
+            <input type="text" class="pricing-name" placeholder="Model name">
+            <input type="number" class="pricing-prompt" min="0" step="0.01">
+            <input type="number" class="pricing-completion" min="0" step="0.01">
+            <button class="remove-model-btn copy-btn" title="Remove model">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+        row.querySelector('.pricing-name').value = model.name;
+        row.querySelector('.pricing-prompt').value = model.prompt;
+        row.querySelector('.pricing-completion').value = model.completion;
+        this.elements.rows.appendChild(row);
+    }
+
+    /**
+     * Read the pricing rows
+     * @returns {Array} - Models with name, prompt and completion prices
+     */
+    getPricingRows() {
+        return Array.from(this.elements.rows.querySelectorAll('.pricing-row')).map(row => ({
+            name: row.querySelector('.pricing-name').value,
+            prompt: row.querySelector('.pricing-prompt').value,
+            completion: row.querySelector('.pricing-completion').value
+        }));
+    }
+
+    /**
+     * Save edited prices; incomplete rows are left for the user to finish
+     */
+    handlePricingEdit() {
+        const rows = this.getPricingRows().filter(row => row.name.trim() || Number(row.prompt) || Number(row.completion));
+
+        let saved;
+        try {
+            saved = pricingTable.setModels(rows);
+        } catch (error) {
+            this.ui.showToast(`Pricing not saved: ${error.message}`, 'warning');
+            return;
+        }
+
+        if (!saved) this.ui.showToast('Pricing updated for this session only; the browser would not store it', 'warning');
+        this.renderModelSelect();
+        this.refresh();
+    }
+
+    /**
+     * Restore the default prices
+     */
+    handlePricingReset() {
+        const cleared = pricingTable.reset();
+        this.renderPricingRows();
+        this.renderModelSelect();
+        this.refresh();
+        if (cleared) {
+            this.ui.showToast('Pricing reset to defaults', 'success');
+        } else {
+            this.ui.showToast('Pricing reset for this session; the saved prices could not be removed', 'warning');
+        }
+    }
+
+    /**
+     * Show the cost of an encoding
+     * @param {Object|null} result - Encoding result for the current input
+     */
+    update(result) {
+        this.tokenCount = result ? result.tokens.length : 0;
+        this.refresh();
+    }
+
+    /**
+     * Recompute the input and batch estimates
+     */
+    refresh() {
+        const model = this.elements.modelSelect.value;
+        if (!pricingTable.getModel(model)) return;
+
+        const cost = pricingTable.estimate(model, this.tokenCount);
+        this.elements.prompt.textContent = PricingTable.formatCost(cost.prompt);
+        this.elements.detail.textContent = `as prompt, ${PricingTable.formatCost(cost.completion)} as completion`;
+
+        // Prompt tokens per request default to the current input
+        const requests = Math.max(0, parseInt(this.elements.batchRequests.value, 10) || 0);
+        const promptInput = this.elements.batchPromptTokens.value;
+        const promptTokens = promptInput === '' ? this.tokenCount : Math.max(0, parseInt(promptInput, 10) || 0);
+        const completionTokens = Math.max(0, parseInt(this.elements.batchCompletionTokens.value, 10) || 0);
+
+        const batch = pricingTable.estimateBatch(model, requests, promptTokens, completionTokens);
+        this.elements.batchEstimate.innerHTML = `
+            ${requests.toLocaleString('en-US')} requests on ${this.ui.escapeHtml(model)}:
+            <strong>${PricingTable.formatCost(batch.total)}</strong>
+            (${batch.promptTokens.toLocaleString('en-US')} prompt tokens ${PricingTable.formatCost(batch.prompt)},
+            ${batch.completionTokens.toLocaleString('en-US')} completion tokens ${PricingTable.formatCost(batch.completion)})
+        `;
+    }
+}
+
+// Initialize Cost Panel once the UI manager exists
+document.addEventListener('DOMContentLoaded', () => {
+    window.costPanel = new CostPanel(window.uiManager);
+});
@@ -0,0 +1,175 @@
+/**
+ * ===== AI TOKEN VISUALIZER - DATASET ANALYZER MODULE =====
+ *
+ * This module measures the token length of JSONL dataset records, including:
+ * - Parsing JSONL with per-line error reporting
+ * - Detecting text fields and chat message arrays
+ * - Rendering message arrays with a chat template
+ * - Token-length percentiles and histogram bins
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class DatasetAnalyzer {
+    /**
+     * Parse JSONL text
+     * @param {string} text - File content, one JSON value per line
+     * @returns {Object} - Records with their 1-based line number and value, and per-line parse errors
+     */
+    parse(text) {
+        const records = [];
+        const errors = [];
+
+        text.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                records.push({ line: index + 1, value: JSON.parse(line) });
+            } catch (error) {
+                errors.push({ line: index + 1, message: error.message });
+            }
+        });
+
+        return { records: records, errors: errors };
+    }
+
+    /**
+     * Find the fields that can be tokenized, looking at the first records
+     * @param {Array} records - Parsed records
+     * @param {number} sample - Number of records to inspect
+     * @returns {Array} - Fields with name and kind ('text' or 'messages'), in first-seen order
+     */
+    getFields(records, sample = 100) {
+        const fields = new Map();
+
+        records.slice(0, sample).forEach(record => {
+            if (!record.value || typeof record.value !== 'object' || Array.isArray(record.value)) return;
+
+            Object.entries(record.value).forEach(([name, value]) => {
+                if (fields.has(name)) return;
+                if (typeof value === 'string') fields.set(name, 'text');
+                if (this.isMessageArray(value)) fields.set(name, 'messages');
+            });
+        });
+
+        return Array.from(fields.entries()).map(([name, kind]) => ({ name: name, kind: kind }));
+    }
+
+    /**
+     * Check whether a value is a chat message array
+     * @param {*} value - Field value
+     * @returns {boolean} - True for arrays of {role, content} objects
+     */
+    isMessageArray(value) {
+        return Array.isArray(value) && value.length > 0 && value.every(message =>
+            message && typeof message.role === 'string' && typeof message.content === 'string'
+        );
+    }
+
+    /**
+     * Get the text to tokenize for a record
+     * @param {Object} record - Parsed record
+     * @param {string} field - Field name
+     * @param {string} template - Chat template name for message arrays
+     * @returns {string|null} - Record text, or null when the field is missing or not text
+     */
+    getRecordText(record, field, template) {
+        const value = record.value && typeof record.value === 'object' ? record.value[field] : undefined;
+        if (typeof value === 'string') return value;
+        if (this.isMessageArray(value)) return ChatTemplate.render(value, template).text;
+        return null;
+    }
+
+    /**
+     * Tokenize one field of every record with the active tokenizer
+     * @param {Array} records - Parsed records
+     * @param {string} field - Field name
+     * @param {Object} options - Analysis options
+     * @param {string} options.template - Chat template name for message arrays
+     * @param {boolean} options.parseSpecialTokens - Match literal special tokens while counting (default: the tokenizer's setting)
+     * @param {Function} options.onProgress - Called with (recordsDone, totalRecords) while working
+     * @returns {Promise<Object>} - Lengths of tokenized records ({line, index, tokens}) and lines skipped
+     */
+    async analyze(records, field, options = {}) {
+        const lengths = [];
+        const skipped = [];
+        // Applied per record, so encodes elsewhere on the page between batches keep their own setting
+        const parseSpecialTokens = options.parseSpecialTokens === undefined ?
+            tokenizer.parseSpecialTokens : options.parseSpecialTokens;
+
+        for (let i = 0; i < records.length; i++) {
+            const text = this.getRecordText(records[i], field, options.template);
+            if (text === null) {
+                skipped.push(records[i].line);
+            } else {
+                const tokens = tokenizer.withParseSpecialTokens(parseSpecialTokens, () => tokenizerApi.countTokens(text));
+                lengths.push({ line: records[i].line, index: i, tokens: tokens });
+            }
+
+            if ((i + 1) % DatasetAnalyzer.BATCH_SIZE === 0 || i === records.length - 1) {
+                if (options.onProgress) options.onProgress(i + 1, records.length);
+                await documentAnalyzer.yieldToBrowser();
+            }
+        }
+
+        return { lengths: lengths, skipped: skipped };
+    }
+
+    /**
+     * Summarize token lengths
+     * @param {Array} lengths - Lengths from analyze()
+     * @returns {Object} - Count, mean, p50, p95 and max
+     */
+    summarize(lengths) {
+        const sorted = lengths.map(length => length.tokens).sort((a, b) => a - b);
+        const total = sorted.reduce((sum, tokens) => sum + tokens, 0);
+
+        return {
+            count: sorted.length,
+            mean: sorted.length > 0 ? total / sorted.length : 0,
+            p50: this.percentile(sorted, 50),
+            p95: this.percentile(sorted, 95),
+            max: sorted.length > 0 ? sorted[sorted.length - 1] : 0
+        };
+    }
+
+    /**
+     * Nearest-rank percentile
+     * @param {Array} sorted - Numbers in ascending order
+     * @param {number} percent - Percentile, 0 to 100
+     * @returns {number} - Value at the percentile, 0 when empty
+     */
+    percentile(sorted, percent) {
+        if (sorted.length === 0) return 0;
+        const rank = Math.max(1, Math.ceil(percent / 100 * sorted.length));
+        return sorted[rank - 1];
+    }
+
+    /**
+     * Bin token lengths into equal-width buckets
+     * @param {Array} lengths - Lengths from analyze()
+     * @param {number} binCount - Maximum number of bins
+     * @returns {Array} - Bins with start, end (exclusive) and count
+     */
+    histogram(lengths, binCount = 20) {
+        if (lengths.length === 0) return [];
+
+        const max = lengths.reduce((highest, length) => Math.max(highest, length.tokens), 0);
+        const width = Math.max(1, Math.ceil((max + 1) / binCount));
+        const bins = [];
+        for (let start = 0; start <= max; start += width) {
+            bins.push({ start: start, end: start + width, count: 0 });
+        }
+
+        lengths.forEach(length => bins[Math.floor(length.tokens / width)].count++);
+        return bins;
+    }
+}
+
+/**
+ * Records tokenized between progress updates
+ */
+DatasetAnalyzer.BATCH_SIZE = 200;
+
+// Create global instance
+const datasetAnalyzer = new DatasetAnalyzer();
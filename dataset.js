@@ -0,0 +1,287 @@
+/**
+ * ===== AI TOKEN VISUALIZER - DATASET MODULE =====
+ *
+ * This module drives the JSONL dataset analyzer panel, including:
+ * - Loading a JSONL file and picking the text field or messages array
+ * - A token-length histogram with p50, p95 and max
+ * - Listing records over a token limit, with click-through into the visualization
+ * - Exporting the over-limit records as JSONL
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class DatasetPanel {
+    /**
+     * @param {UIManager} ui - UI manager used for toasts, downloads and re-encoding
+     */
+    constructor(ui) {
+        this.ui = ui;
+        this.records = [];
+        this.fields = [];
+        this.analysis = null;
+        this.busy = false;
+
+        this.elements = {
+            fileBtn: document.getElementById('dataset-file-btn'),
+            fileInput: document.getElementById('dataset-file-input'),
+            fileName: document.getElementById('dataset-file-name'),
+            fieldSelect: document.getElementById('dataset-field-select'),
+            templateSelect: document.getElementById('dataset-template-select'),
+            templateControls: document.querySelectorAll('.dataset-template'),
+            limit: document.getElementById('dataset-limit'),
+            analyzeBtn: document.getElementById('analyze-dataset-btn'),
+            progress: document.getElementById('dataset-progress'),
+            progressBar: document.getElementById('dataset-progress-bar'),
+            progressLabel: document.getElementById('dataset-progress-label'),
+            results: document.getElementById('dataset-results'),
+            stats: document.getElementById('dataset-stats'),
+            histogram: document.getElementById('dataset-histogram'),
+            exportBtn: document.getElementById('export-over-limit-btn'),
+            overLimitList: document.getElementById('over-limit-list')
+        };
+
+        this.elements.templateSelect.innerHTML = Object.entries(ChatTemplate.TEMPLATES)
+            .map(([name, template]) => `<option value="${name}">${this.ui.escapeHtml(template.label)}</option>`)
+            .join('');
+
+        this.elements.fileBtn.addEventListener('click', () => this.elements.fileInput.click());
+        this.elements.fileInput.addEventListener('change', () => {
+            const file = this.elements.fileInput.files[0];
+            if (file) this.handleFile(file);
+            this.elements.fileInput.value = '';
+        });
+        this.elements.fieldSelect.addEventListener('change', () => this.syncTemplateControls());
+        this.elements.analyzeBtn.addEventListener('click', () => this.handleAnalyze());
+        this.elements.limit.addEventListener('input', () => this.render());
+        this.elements.exportBtn.addEventListener('click', () => this.handleExport());
+        this.elements.overLimitList.addEventListener('click', (e) => {
+            const item = e.target.closest('.over-limit-item');
+            if (item) this.showRecord(Number(item.dataset.index));
+        });
+    }
+
+    /**
+     * Load and parse a JSONL file
+     * @param {File} file - Uploaded file
+     */
+    async handleFile(file) {
+        let parsed;
+        try {
+            parsed = datasetAnalyzer.parse(await file.text());
+        } catch (error) {
+            this.ui.showToast(`Error: ${error.message}`, 'error');
+            return;
+        }
+
+        this.records = parsed.records;
+        this.fields = datasetAnalyzer.getFields(this.records);
+        this.analysis = null;
+        this.elements.results.classList.add('hidden');
+
+        this.elements.fieldSelect.innerHTML = this.fields.map(field =>
+            `<option value="${this.ui.escapeHtml(field.name)}">` +
+            `${this.ui.escapeHtml(field.name)}${field.kind === 'messages' ? ' (messages)' : ''}</option>`
+        ).join('');
+        this.elements.fieldSelect.disabled = this.fields.length === 0;
+        this.elements.analyzeBtn.disabled = this.fields.length === 0;
+
+        // Prefer a messages array, the usual fine-tuning layout
+        const messages = this.fields.find(field => field.kind === 'messages');
+        if (messages) this.elements.fieldSelect.value = messages.name;
+        this.syncTemplateControls();
+
+        this.elements.fileName.textContent = `${file.name}: ${this.records.length} record(s)`;
+        if (parsed.errors.length > 0) {
+            const lines = parsed.errors.slice(0, 5).map(error => error.line).join(', ');
+            this.ui.showToast(`${parsed.errors.length} line(s) are not valid JSON (line ${lines}${parsed.errors.length > 5 ? ', …' : ''})`, 'warning');
+        } else if (this.fields.length === 0) {
+            this.ui.showToast('No text fields or message arrays found', 'warning');
+        } else {
+            this.ui.showToast(`Loaded ${this.records.length} record(s)`, 'success');
+        }
+    }
+
+    /**
+     * Get the selected field
+     * @returns {Object|null} - Field with name and kind
+     */
+    getField() {
+        return this.fields.find(field => field.name === this.elements.fieldSelect.value) || null;
+    }
+
+    /**
+     * Show the template selector only for message arrays
+     */
+    syncTemplateControls() {
+        const field = this.getField();
+        this.elements.templateControls.forEach(control => {
+            control.classList.toggle('hidden', !field || field.kind !== 'messages');
+        });
+    }
+
+    /**
+     * Get the token limit
+     * @returns {number} - Limit, at least 1
+     */
+    getLimit() {
+        return Math.max(1, parseInt(this.elements.limit.value, 10) || 1);
+    }
+
+    /**
+     * Tokenize the selected field of every record
+     */
+    async handleAnalyze() {
+        const field = this.getField();
+        if (!field || this.busy) return;
+
+        this.busy = true;
+        this.elements.analyzeBtn.disabled = true;
+        this.elements.progress.classList.remove('hidden');
+
+        try {
+            const template = this.elements.templateSelect.value;
+            // Template markers must be parsed as special tokens, as in the chat template panel;
+            // only for the count, so the encode panel keeps the user's setting
+            const result = await datasetAnalyzer.analyze(this.records, field.name, {
+                template: template,
+                parseSpecialTokens: field.kind === 'messages' || tokenizer.parseSpecialTokens,
+                onProgress: (done, total) => {
+                    this.elements.progressBar.style.width = `${Math.round(done / total * 100)}%`;
+                    this.elements.progressLabel.textContent = `Tokenized ${done} of ${total} records`;
+                }
+            });
+
+            this.analysis = { field: field, template: template, ...result, summary: datasetAnalyzer.summarize(result.lengths) };
+            this.render();
+        } catch (error) {
+            this.ui.showToast(`Error: ${error.message}`, 'error');
+        } finally {
+            this.busy = false;
+            this.elements.analyzeBtn.disabled = false;
+            this.elements.progress.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Get the analyzed records over the limit, longest first
+     * @returns {Array} - Lengths with line, index and tokens
+     */
+    getOverLimit() {
+        if (!this.analysis) return [];
+        const limit = this.getLimit();
+        return this.analysis.lengths
+            .filter(length => length.tokens > limit)
+            .sort((a, b) => b.tokens - a.tokens);
+    }
+
+    /**
+     * Render the statistics, histogram and over-limit list
+     */
+    render() {
+        if (!this.analysis) return;
+
+        const { summary, skipped } = this.analysis;
+        const limit = this.getLimit();
+        const overLimit = this.getOverLimit();
+
+        this.elements.results.classList.remove('hidden');
+        this.elements.stats.innerHTML = [
+            ['Records', summary.count],
+            ['Mean', summary.mean.toFixed(1)],
+            ['p50', summary.p50],
+            ['p95', summary.p95],
+            ['Max', summary.max],
+            [`Over ${limit}`, overLimit.length]
+        ].map(([label, value]) => `
+            <div class="dataset-stat">
+                <span class="stat-label">${label}</span>
+                <span class="dataset-stat-value">${value.toLocaleString('en-US')}</span>
+            </div>
+        `).join('') + (skipped.length > 0 ?
+            `<div class="dataset-skipped">${skipped.length} record(s) without a usable "${this.ui.escapeHtml(this.analysis.field.name)}" field were skipped</div>` : '');
+
+        this.renderHistogram(limit);
+
+        const shown = overLimit.slice(0, DatasetPanel.MAX_LISTED);
+        this.elements.exportBtn.disabled = overLimit.length === 0;
+        this.elements.overLimitList.innerHTML = shown.length === 0 ?
+            '<div class="empty-state">No records over the limit</div>' :
+            shown.map(length => {
+                const text = this.getText(length.index);
+                const preview = text.length > 120 ? `${text.slice(0, 120)}…` : text;
+                return `
+                    <div class="over-limit-item" data-index="${length.index}" title="Show in the token visualization">
+                        <span class="over-limit-line">Line ${length.line}</span>
+                        <span class="over-limit-tokens">${length.tokens.toLocaleString('en-US')} tokens (+${(length.tokens - limit).toLocaleString('en-US')})</span>
+                        <span class="over-limit-preview">${this.ui.escapeHtml(preview)}</span>
+                    </div>
+                `;
+            }).join('') +
+            (overLimit.length > shown.length ? `<div class="progress-label">…and ${overLimit.length - shown.length} more</div>` : '');
+    }
+
+    /**
+     * Render the token-length histogram; bins above the limit are marked
+     * @param {number} limit - Token limit
+     */
+    renderHistogram(limit) {
+        const bins = datasetAnalyzer.histogram(this.analysis.lengths);
+        const highest = bins.reduce((max, bin) => Math.max(max, bin.count), 0) || 1;
+
+        this.elements.histogram.innerHTML = bins.map(bin => `
+            <div class="histogram-bin ${bin.end > limit + 1 ? 'over-limit' : ''}"
+                 title="${bin.start}–${bin.end - 1} tokens: ${bin.count} record(s)">
+                <div class="histogram-bar" style="height: ${bin.count / highest * 100}%"></div>
+                <span class="histogram-label">${bin.start}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Get the analyzed text of a record
+     * @param {number} index - Record index
+     * @returns {string} - Record text
+     */
+    getText(index) {
+        return datasetAnalyzer.getRecordText(this.records[index], this.analysis.field.name, this.analysis.template);
+    }
+
+    /**
+     * Load a record into the encoder input and scroll to the token grid
+     * @param {number} index - Record index
+     */
+    showRecord(index) {
+        // Count the record's template markers the way the analysis did
+        if (this.analysis.field.kind === 'messages') {
+            tokenizer.setParseSpecialTokens(true);
+            this.ui.elements.specialTokensToggle.checked = true;
+        }
+
+        this.ui.elements.inputText.value = this.getText(index);
+        this.ui.resetTokenizerResults();
+        document.getElementById('text-visualization').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Download the over-limit records as JSONL, in file order
+     */
+    handleExport() {
+        const overLimit = this.getOverLimit().sort((a, b) => a.index - b.index);
+        if (overLimit.length === 0) return;
+
+        const jsonl = overLimit.map(length => JSON.stringify(this.records[length.index].value)).join('\n') + '\n';
+        this.ui.downloadFile('over-limit.jsonl', jsonl, 'application/jsonl');
+        this.ui.showToast(`Exported ${overLimit.length} record(s)`, 'success');
+    }
+}
+
+/**
+ * Maximum number of over-limit records rendered in the list
+ */
+DatasetPanel.MAX_LISTED = 200;
+
+// Initialize Dataset Panel once the UI manager exists
+document.addEventListener('DOMContentLoaded', () => {
+    window.datasetPanel = new DatasetPanel(window.uiManager);
+});
@@ -0,0 +1,121 @@
+/**
+ * ===== AI TOKEN VISUALIZER - DIFF MODULE =====
+ *
+ * This module drives the token diff panel, including:
+ * - Encoding a before and an after text with the active tokenizer
+ * - One token grid marking inserted, deleted and unchanged tokens
+ * - Token counts and the net token delta
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class DiffPanel {
+    /**
+     * @param {UIManager} ui - UI manager used for shared rendering helpers
+     */
+    constructor(ui) {
+        this.ui = ui;
+        this.elements = {
+            before: document.getElementById('diff-text-before'),
+            after: document.getElementById('diff-text-after'),
+            useInputBtn: document.getElementById('diff-use-input-btn'),
+            swapBtn: document.getElementById('diff-swap-btn'),
+            summary: document.getElementById('diff-summary'),
+            results: document.getElementById('diff-results')
+        };
+
+        this.elements.before.addEventListener('input', () => this.scheduleUpdate());
+        this.elements.after.addEventListener('input', () => this.scheduleUpdate());
+        this.elements.useInputBtn.addEventListener('click', () => this.handleUseInput());
+        this.elements.swapBtn.addEventListener('click', () => this.handleSwap());
+
+        this.update();
+    }
+
+    /**
+     * Debounce updates while typing
+     */
+    scheduleUpdate() {
+        clearTimeout(this.updateTimeout);
+        this.updateTimeout = setTimeout(() => this.update(), 200);
+    }
+
+    /**
+     * Copy the encoder input into both texts, ready to be edited on the after side
+     */
+    handleUseInput() {
+        const text = this.ui.elements.inputText.value;
+        this.elements.before.value = text;
+        if (!this.elements.after.value) this.elements.after.value = text;
+        this.update();
+    }
+
+    /**
+     * Swap the before and after texts
+     */
+    handleSwap() {
+        const before = this.elements.before.value;
+        this.elements.before.value = this.elements.after.value;
+        this.elements.after.value = before;
+        this.update();
+    }
+
+    /**
+     * Encode both texts, diff the token sequences and render the panel
+     */
+    update() {
+        const before = this.elements.before.value;
+        const after = this.elements.after.value;
+
+        if (!before && !after) {
+            this.elements.results.innerHTML = '<div class="empty-state">Enter two texts to compare their tokens</div>';
+            this.elements.summary.innerHTML = '';
+            return;
+        }
+
+        let beforeTokens, afterTokens;
+        try {
+            beforeTokens = tokenizerApi.encode(before);
+            afterTokens = tokenizerApi.encode(after);
+        } catch (error) {
+            this.elements.results.innerHTML = `<div class="empty-state">Error: ${this.ui.escapeHtml(error.message)}</div>`;
+            this.elements.summary.innerHTML = '';
+            return;
+        }
+
+        const diff = tokenDiff.diff(beforeTokens, afterTokens);
+
+        this.elements.results.innerHTML = diff.operations.length === 0 ?
+            '<div class="empty-state">Both texts encode to no tokens</div>' :
+            '<div class="token-grid">' +
+            diff.operations.map(operation => this.ui.renderTokenItem(operation.token, `diff-${operation.type}`)).join('') +
+            '</div>';
+
+        this.renderSummary(beforeTokens.length, afterTokens.length, diff);
+    }
+
+    /**
+     * Render token counts, per-type counts and the net delta
+     * @param {number} beforeCount - Tokens in the before text
+     * @param {number} afterCount - Tokens in the after text
+     * @param {Object} diff - Result of tokenDiff.diff()
+     */
+    renderSummary(beforeCount, afterCount, diff) {
+        const delta = diff.delta > 0 ? `+${diff.delta}` : `${diff.delta}`;
+        const deltaClass = diff.delta > 0 ? 'diff-delta-up' : diff.delta < 0 ? 'diff-delta-down' : '';
+
+        this.elements.summary.innerHTML = `
+            <span><strong>${beforeCount}</strong> → <strong>${afterCount}</strong> tokens</span>
+            <span class="${deltaClass}">Net <strong class="${deltaClass}">${delta}</strong></span>
+            <span><strong>${diff.inserted}</strong> inserted</span>
+            <span><strong>${diff.deleted}</strong> deleted</span>
+            <span><strong>${diff.unchanged}</strong> unchanged</span>
+        `;
+    }
+}
+
+// Initialize Diff Panel once the UI manager exists
+document.addEventListener('DOMContentLoaded', () => {
+    window.diffPanel = new DiffPanel(window.uiManager);
+});
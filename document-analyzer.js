@@ -0,0 +1,160 @@
+/**
+ * ===== AI TOKEN VISUALIZER - DOCUMENT ANALYZER MODULE =====
+ *
+ * This module tokenizes whole documents with the active tokenizer, including:
+ * - Splitting large texts into chunks at points where the active tokenizer splits too
+ * - Yielding to the browser between chunks so the page stays responsive
+ * - Character, token and chars-per-token totals
+ * - Counting the words that needed unknown or byte fallback tokens
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class DocumentAnalyzer {
+    /**
+     * Split text into chunks of about `size` characters
+     * Chunks end where the active tokenizer starts a pre-token, preferably at a line start,
+     * so the chunks encode to the same tokens as the whole text
+     * @param {string} text - Document text
+     * @param {number} size - Target chunk length
+     * @returns {Array} - Chunks that join back into the text
+     */
+    splitChunks(text, size = DocumentAnalyzer.CHUNK_SIZE) {
+        const chunks = [];
+        let start = 0;
+
+        while (text.length - start > size) {
+            const end = this.findChunkEnd(text, start, size);
+            if (end === null) break;
+            chunks.push(text.slice(start, start + end));
+            start += end;
+        }
+
+        if (start < text.length) chunks.push(text.slice(start));
+        return chunks;
+    }
+
+    /**
+     * Find where the chunk starting at an offset should end
+     * A window without a split point is doubled until it has one, rather than cut where the tokenizer would not
+     * @param {string} text - Document text
+     * @param {number} start - Chunk start offset
+     * @param {number} size - Target chunk length
+     * @returns {number|null} - Chunk length, or null when the rest of the text has no split point
+     */
+    findChunkEnd(text, start, size) {
+        for (let length = size; start + length < text.length; length *= 2) {
+            const slice = text.slice(start, start + length);
+            const points = tokenizer.findSplitPoints(slice);
+            const lineStarts = points.filter(point => slice[point - 1] === '\n');
+            if (lineStarts.length > 0) return lineStarts[lineStarts.length - 1];
+            if (points.length > 0) return points[points.length - 1];
+        }
+        return null;
+    }
+
+    /**
+     * Tokenize a document chunk by chunk
+     * @param {string} text - Document text
+     * @param {Object} options - Analysis options
+     * @param {Function} options.onProgress - Called with (charactersDone, totalCharacters) after each chunk
+     * @param {number} options.chunkSize - Target chunk length
+     * @returns {Promise<Object>} - Characters, tokens, chars per token and fallback word counts
+     */
+    async analyze(text, options = {}) {
+        const chunks = this.splitChunks(text, options.chunkSize);
+        const fallbackWords = new Map();
+        let tokens = 0;
+        let fallbackTokens = 0;
+        let done = 0;
+
+        // Sequence tokens such as [CLS] and [SEP] belong to the whole document, not to each chunk
+        if (chunks.length > 0) tokens += tokenizer.countAddedSpecialTokens();
+
+        for (const chunk of chunks) {
+            const result = tokenizer.encodeText(chunk, { addSpecialTokens: false });
+            tokens += result.tokens.length;
+            fallbackTokens += this.countFallbackWords(chunk, result, fallbackWords);
+
+            done += chunk.length;
+            if (options.onProgress) options.onProgress(done, text.length);
+            await this.yieldToBrowser();
+        }
+
+        return {
+            characters: text.length,
+            tokens: tokens,
+            charsPerToken: tokens > 0 ? text.length / tokens : 0,
+            fallbackTokens: fallbackTokens,
+            fallbackWords: fallbackWords
+        };
+    }
+
+    /**
+     * Count the words an encoding needed fallback tokens for
+     * @param {string} text - Encoded text
+     * @param {Object} result - Encoding result with tokens and offsets
+     * @param {Map} counts - Word to occurrence count map, updated in place
+     * @returns {number} - Number of fallback tokens
+     */
+    countFallbackWords(text, result, counts) {
+        const wordStarts = new Set();
+        let fallbackTokens = 0;
+
+        result.tokens.forEach((token, index) => {
+            if (!tokenizer.isFallbackToken(token)) return;
+            fallbackTokens++;
+
+            let [start, end] = result.offsets[index];
+            if (start < end && !/\S/.test(text.slice(start, end))) {
+                // Whitespace the vocabulary lacks is listed escaped, e.g. "\t"
+                const escaped = JSON.stringify(text.slice(start, end));
+                counts.set(escaped, (counts.get(escaped) || 0) + 1);
+                return;
+            }
+
+            // Widen the token's span to the surrounding whitespace-delimited word
+            while (start > 0 && !/\s/.test(text[start - 1])) start--;
+            while (end < text.length && !/\s/.test(text[end])) end++;
+
+            // Several fallback tokens in one word count the word once
+            if (wordStarts.has(start)) return;
+            wordStarts.add(start);
+
+            const raw = text.slice(start, end);
+            const word = raw.replace(/^[\p{P}\p{S}]+|[\p{P}\p{S}]+$/gu, '') || raw;
+            if (word) counts.set(word, (counts.get(word) || 0) + 1);
+        });
+
+        return fallbackTokens;
+    }
+
+    /**
+     * Get the most frequent fallback words
+     * @param {Map} counts - Word to occurrence count map
+     * @param {number} limit - Number of words to return
+     * @returns {Array} - [word, count] pairs, most frequent first
+     */
+    topWords(counts, limit = 5) {
+        return Array.from(counts.entries())
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, limit);
+    }
+
+    /**
+     * Let the browser paint and handle input
+     * @returns {Promise} - Resolves on the next task
+     */
+    yieldToBrowser() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+}
+
+/**
+ * Characters encoded per chunk
+ */
+DocumentAnalyzer.CHUNK_SIZE = 20000;
+
+// Create global instance
+const documentAnalyzer = new DocumentAnalyzer();
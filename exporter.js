@@ -0,0 +1,125 @@
+/**
+ * ===== AI TOKEN VISUALIZER - EXPORTER MODULE =====
+ *
+ * This module turns encoding results into downloadable files, including:
+ * - Token ids as a JSON array
+ * - CSV rows of index, token id, text, offsets and type
+ * - The full encoding steps as JSON
+ * - A NumPy .npy int32 array
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class EncodingExporter {
+    /**
+     * Build an export file
+     * @param {Object} result - Encoding result with tokens, offsets and steps
+     * @param {string} format - 'json', 'csv', 'steps' or 'npy'
+     * @returns {Object} - File name, content and MIME type
+     */
+    export(result, format) {
+        const info = EncodingExporter.FORMATS[format];
+        if (!info) throw new Error(`Unknown export format: ${format}`);
+
+        const content = format === 'json' ? this.toJSON(result.tokens) :
+                        format === 'csv' ? this.toCSV(result) :
+                        format === 'steps' ? this.toSteps(result) :
+                        this.toNpy(result.tokens);
+
+        return { filename: info.filename, content: content, type: info.type };
+    }
+
+    /**
+     * Token ids as a JSON array
+     * @param {Array} tokens - Token IDs
+     * @returns {string} - JSON text
+     */
+    toJSON(tokens) {
+        return JSON.stringify(tokens);
+    }
+
+    /**
+     * One CSV row per token: index, token id, text, start, end, type
+     * @param {Object} result - Encoding result with tokens and offsets
+     * @returns {string} - CSV text with a header row
+     */
+    toCSV(result) {
+        const rows = [['index', 'token_id', 'text', 'start', 'end', 'type']];
+
+        result.tokens.forEach((token, index) => {
+            const offset = result.offsets ? result.offsets[index] : ['', ''];
+            rows.push([index, token, tokenizer.getTokenText(token), offset[0], offset[1], tokenizer.getTokenType(token)]);
+        });
+
+        return rows.map(row => row.map(value => this.escapeCSV(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV field when it contains a delimiter, quote or line break
+     * @param {*} value - Field value
+     * @returns {string} - CSV field
+     */
+    escapeCSV(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * The full encoding as JSON: input, tokenizer, tokens, offsets and steps
+     * @param {Object} result - Encoding result
+     * @returns {string} - Pretty-printed JSON
+     */
+    toSteps(result) {
+        return JSON.stringify({
+            text: result.originalText,
+            tokenizer: tokenizer.activeEncoderName,
+            tokens: result.tokens,
+            offsets: result.offsets,
+            steps: result.steps
+        }, null, 2);
+    }
+
+    /**
+     * Token ids as a NumPy .npy file (format 1.0, little-endian int32, shape (N,))
+     * @param {Array} tokens - Token IDs
+     * @returns {Uint8Array} - File bytes, loadable with numpy.load
+     */
+    toNpy(tokens) {
+        tokens.forEach((token, index) => {
+            if (!Number.isInteger(token) || token < -2147483648 || token > 2147483647) {
+                throw new Error(`Token ${index} (${token}) does not fit in int32`);
+            }
+        });
+
+        // The header is padded with spaces so the data starts on a 64-byte boundary
+        let header = `{'descr': '<i4', 'fortran_order': False, 'shape': (${tokens.length},), }`;
+        const preamble = 10;
+        header += ' '.repeat(63 - (preamble + header.length) % 64) + '\n';
+
+        const bytes = new Uint8Array(preamble + header.length + tokens.length * 4);
+        const view = new DataView(bytes.buffer);
+
+        bytes.set([0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59, 1, 0]); // \x93NUMPY, version 1.0
+        view.setUint16(8, header.length, true);
+        for (let i = 0; i < header.length; i++) bytes[preamble + i] = header.charCodeAt(i);
+
+        const dataStart = preamble + header.length;
+        tokens.forEach((token, index) => view.setInt32(dataStart + index * 4, token, true));
+
+        return bytes;
+    }
+}
+
+/**
+ * Export formats with their display name, file name and MIME type
+ */
+EncodingExporter.FORMATS = {
+    json: { label: 'Token ids (JSON)', filename: 'tokens.json', type: 'application/json' },
+    csv: { label: 'Token table (CSV)', filename: 'tokens.csv', type: 'text/csv' },
+    steps: { label: 'Encoding steps (JSON)', filename: 'encoding.json', type: 'application/json' },
+    npy: { label: 'Token ids (NumPy .npy)', filename: 'tokens.npy', type: 'application/octet-stream' }
+};
+
+// Create global instance
+const encodingExporter = new EncodingExporter();
@@ -0,0 +1,223 @@
+/**
+ * ===== AI TOKEN VISUALIZER - FILE REPORT MODULE =====
+ *
+ * This module tokenizes uploaded documents, including:
+ * - Drag-and-drop or file picker upload of several text files
+ * - Chunked processing with a progress bar
+ * - A per-file report of characters, tokens, chars per token and fallback words
+ * - Sorting the report by any column
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class FileReportPanel {
+    /**
+     * @param {UIManager} ui - UI manager used for toasts and escaping
+     */
+    constructor(ui) {
+        this.ui = ui;
+        this.rows = [];
+        this.sort = { column: 'name', descending: false };
+        this.busy = false;
+
+        this.elements = {
+            dropZone: document.getElementById('file-drop-zone'),
+            chooseBtn: document.getElementById('choose-files-btn'),
+            fileInput: document.getElementById('report-file-input'),
+            progress: document.getElementById('report-progress'),
+            progressBar: document.getElementById('report-progress-bar'),
+            progressLabel: document.getElementById('report-progress-label'),
+            summary: document.getElementById('report-summary'),
+            results: document.getElementById('report-results')
+        };
+
+        this.elements.chooseBtn.addEventListener('click', () => this.elements.fileInput.click());
+        this.elements.fileInput.addEventListener('change', () => {
+            this.handleFiles(Array.from(this.elements.fileInput.files));
+            this.elements.fileInput.value = '';
+        });
+
+        ['dragenter', 'dragover'].forEach(type => {
+            this.elements.dropZone.addEventListener(type, (e) => {
+                e.preventDefault();
+                this.elements.dropZone.classList.add('drag-over');
+            });
+        });
+        ['dragleave', 'drop'].forEach(type => {
+            this.elements.dropZone.addEventListener(type, () => this.elements.dropZone.classList.remove('drag-over'));
+        });
+        this.elements.dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.handleFiles(Array.from(e.dataTransfer.files));
+        });
+
+        this.elements.results.addEventListener('click', (e) => {
+            const header = e.target.closest('th[data-column]');
+            if (header) this.handleSort(header.dataset.column);
+        });
+    }
+
+    /**
+     * Tokenize uploaded files one after another
+     * @param {Array} files - File objects
+     */
+    async handleFiles(files) {
+        if (this.busy) {
+            this.ui.showToast('Still processing the previous files', 'warning');
+            return;
+        }
+
+        const accepted = files.filter(file => FileReportPanel.EXTENSIONS.test(file.name));
+        const skipped = files.length - accepted.length;
+        if (skipped > 0) {
+            this.ui.showToast(`Skipped ${skipped} file(s): only .txt, .md, .json, .csv and .jsonl are supported`, 'warning');
+        }
+        if (accepted.length === 0) return;
+
+        this.busy = true;
+        this.rows = [];
+        const label = this.getTokenizerLabel();
+        const totalBytes = accepted.reduce((sum, file) => sum + file.size, 0) || 1;
+        let doneBytes = 0;
+
+        this.elements.progress.classList.remove('hidden');
+        this.elements.results.innerHTML = '';
+        this.elements.summary.textContent = '';
+
+        try {
+            for (const file of accepted) {
+                const text = await file.text();
+                const report = await documentAnalyzer.analyze(text, {
+                    onProgress: (done, total) => {
+                        const fraction = total > 0 ? done / total : 1;
+                        this.showProgress((doneBytes + fraction * file.size) / totalBytes, `Tokenizing ${file.name}…`);
+                    }
+                });
+
+                this.rows.push({ name: file.name, ...report });
+                doneBytes += file.size;
+                this.render();
+            }
+
+            this.elements.summary.textContent =
+                `${this.rows.length} file(s) tokenized with ${label}: ` +
+                `${this.sumColumn('characters').toLocaleString('en-US')} characters, ` +
+                `${this.sumColumn('tokens').toLocaleString('en-US')} tokens`;
+            this.ui.showToast(`Tokenized ${this.rows.length} file(s)`, 'success');
+        } catch (error) {
+            this.ui.showToast(`Error: ${error.message}`, 'error');
+        } finally {
+            this.busy = false;
+            this.elements.progress.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Update the progress bar
+     * @param {number} fraction - Share of the work done, 0 to 1
+     * @param {string} label - Progress text
+     */
+    showProgress(fraction, label) {
+        this.elements.progressBar.style.width = `${Math.round(fraction * 100)}%`;
+        this.elements.progressLabel.textContent = label;
+    }
+
+    /**
+     * Get the display name of the active tokenizer
+     * @returns {string} - Tokenizer label
+     */
+    getTokenizerLabel() {
+        const active = tokenizer.getEncoders().find(encoder => encoder.name === tokenizer.activeEncoderName);
+        return active ? active.label : tokenizer.activeEncoderName;
+    }
+
+    /**
+     * Add up a numeric column
+     * @param {string} column - Row property
+     * @returns {number} - Column total
+     */
+    sumColumn(column) {
+        return this.rows.reduce((sum, row) => sum + row[column], 0);
+    }
+
+    /**
+     * Sort by a column, flipping the direction when it is already sorted by it
+     * @param {string} column - Row property
+     */
+    handleSort(column) {
+        if (this.sort.column === column) {
+            this.sort.descending = !this.sort.descending;
+        } else {
+            // Numbers are most useful largest first
+            this.sort = { column: column, descending: column !== 'name' };
+        }
+        this.render();
+    }
+
+    /**
+     * Get the rows in the current sort order
+     * @returns {Array} - Sorted rows
+     */
+    getSortedRows() {
+        const { column, descending } = this.sort;
+        const value = row => column === 'fallback' ? row.fallbackTokens : row[column];
+
+        const sorted = [...this.rows].sort((a, b) =>
+            column === 'name' ? a.name.localeCompare(b.name) : value(a) - value(b)
+        );
+        return descending ? sorted.reverse() : sorted;
+    }
+
+    /**
+     * Render the report table
+     */
+    render() {
+        const columns = [
+            { key: 'name', label: 'File' },
+            { key: 'characters', label: 'Characters' },
+            { key: 'tokens', label: 'Tokens' },
+            { key: 'charsPerToken', label: 'Chars / Token' },
+            { key: 'fallback', label: 'Fallback Tokens & Top Words' }
+        ];
+
+        const headers = columns.map(column => {
+            const arrow = this.sort.column !== column.key ? '' :
+                `<i class="fas fa-sort-${this.sort.descending ? 'down' : 'up'}"></i>`;
+            return `<th data-column="${column.key}">${column.label} ${arrow}</th>`;
+        }).join('');
+
+        const rows = this.getSortedRows().map(row => {
+            const words = documentAnalyzer.topWords(row.fallbackWords)
+                .map(([word, count]) => `<span class="fallback-word">${this.ui.escapeHtml(word)} ×${count}</span>`)
+                .join(' ');
+
+            return `
+                <tr>
+                    <td>${this.ui.escapeHtml(row.name)}</td>
+                    <td>${row.characters.toLocaleString('en-US')}</td>
+                    <td>${row.tokens.toLocaleString('en-US')}</td>
+                    <td>${row.charsPerToken.toFixed(2)}</td>
+                    <td><strong>${row.fallbackTokens.toLocaleString('en-US')}</strong> ${words}</td>
+                </tr>
+            `;
+        }).join('');
+
+        this.elements.results.innerHTML = `
+            <table class="report-table">
+                <thead><tr>${headers}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+}
+
+/**
+ * File types the report accepts
+ */
+FileReportPanel.EXTENSIONS = /\.(txt|md|json|csv|jsonl)$/i;
+
+// Initialize File Report Panel once the UI manager exists
+document.addEventListener('DOMContentLoaded', () => {
+    window.fileReportPanel = new FileReportPanel(window.uiManager);
+});
@@ -0,0 +1,159 @@
+/**
+ * ===== AI TOKEN VISUALIZER - NORMALIZER MODULE =====
+ *
+ * This module rewrites text before pre-tokenization, including:
+ * - Unicode normalization (NFC, NFD, NFKC)
+ * - Lowercasing
+ * - Accent stripping
+ * - Whitespace collapsing
+ * - An alignment from every normalized character back to the original text
+ * - Byte-to-character ranges for byte-level tokens
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class Normalizer {
+    /**
+     * @param {Object} options - Normalizer options
+     * @param {string} options.form - Unicode form: '', 'NFC', 'NFD' or 'NFKC'
+     * @param {boolean} options.lowercase - Lowercase the text
+     * @param {boolean} options.stripAccents - Remove combining accent marks
+     * @param {boolean} options.collapseWhitespace - Turn whitespace runs into one space
+     */
+    constructor(options = {}) {
+        this.configure(options);
+    }
+
+    /**
+     * Update the normalizer settings; omitted settings keep their value
+     * @param {Object} options - Same options as the constructor
+     */
+    configure(options = {}) {
+        const form = options.form !== undefined ? options.form : this.form || '';
+        if (form && !Normalizer.FORMS.includes(form)) {
+            throw new Error(`Unknown Unicode form: ${form}`);
+        }
+
+        this.form = form;
+        this.lowercase = options.lowercase !== undefined ? options.lowercase : !!this.lowercase;
+        this.stripAccents = options.stripAccents !== undefined ? options.stripAccents : !!this.stripAccents;
+        this.collapseWhitespace = options.collapseWhitespace !== undefined ?
+            options.collapseWhitespace : !!this.collapseWhitespace;
+    }
+
+    /**
+     * Get the enabled normalizers in the order they run
+     * @returns {Array} - Normalizers with a label, chunk pattern and rewrite function
+     */
+    getChain() {
+        const chain = [];
+
+        // Combining marks stay with their base character so composition works per chunk
+        if (this.form) {
+            chain.push({ label: this.form, chunk: /\P{M}\p{M}*|\p{M}+/gu, apply: chunk => chunk.normalize(this.form) });
+        }
+        if (this.lowercase) {
+            chain.push({ label: 'Lowercase', chunk: /[\s\S]/gu, apply: chunk => chunk.toLowerCase() });
+        }
+        if (this.stripAccents) {
+            chain.push({ label: 'Strip accents', chunk: /[\s\S]/gu, apply: chunk => chunk.normalize('NFD').replace(/\p{Mn}/gu, '') });
+        }
+        if (this.collapseWhitespace) {
+            chain.push({ label: 'Collapse whitespace', chunk: /\s+|\S+/gu, apply: chunk => /^\s/.test(chunk) ? ' ' : chunk });
+        }
+
+        return chain;
+    }
+
+    /**
+     * Run the normalizer chain
+     * @param {string} text - Original text
+     * @returns {Object} - Normalized text, alignments and one step per normalizer
+     */
+    normalize(text) {
+        // alignments[i] is the [start, end) range of original text behind normalized code unit i
+        let current = text;
+        let alignments = [];
+        for (let i = 0; i < text.length; i++) alignments.push([i, i + 1]);
+
+        const steps = [];
+
+        this.getChain().forEach(normalizer => {
+            let output = '';
+            const nextAlignments = [];
+            let changed = 0;
+
+            for (const match of current.matchAll(normalizer.chunk)) {
+                const chunk = match[0];
+                const replacement = normalizer.apply(chunk);
+                const start = alignments[match.index][0];
+                const end = alignments[match.index + chunk.length - 1][1];
+
+                if (replacement !== chunk) changed++;
+                output += replacement;
+                for (let i = 0; i < replacement.length; i++) {
+                    // Unchanged chunks keep their per-character alignment
+                    nextAlignments.push(replacement === chunk ? alignments[match.index + i] : [start, end]);
+                }
+            }
+
+            steps.push({
+                step: steps.length + 1,
+                input: current,
+                process: `Normalize: ${normalizer.label} (${changed} change(s))`,
+                output: [JSON.stringify(output)],
+                span: [0, text.length]
+            });
+
+            current = output;
+            alignments = nextAlignments;
+        });
+
+        return { text: current, alignments: alignments, steps: steps };
+    }
+
+    /**
+     * Map a range of normalized text back to the original text
+     * @param {Array} alignments - Alignments from normalize()
+     * @param {number} start - Start offset in the normalized text
+     * @param {number} end - End offset in the normalized text (exclusive)
+     * @returns {Array} - [start, end) in the original text
+     */
+    static mapRange(alignments, start, end) {
+        if (start >= end || start >= alignments.length) {
+            // Empty ranges sit just after the preceding character
+            const previous = alignments[Math.min(start, alignments.length) - 1];
+            const offset = previous ? previous[1] : 0;
+            return [offset, offset];
+        }
+
+        return [alignments[start][0], alignments[Math.min(end, alignments.length) - 1][1]];
+    }
+
+    /**
+     * Get the character range each UTF-8 byte of a text comes from
+     * Every byte of a multi-byte character (or surrogate pair) gets the whole character's range
+     * @param {string} text - Text to encode
+     * @param {number} start - Offset of the text in the input
+     * @returns {Array} - One [start, end) range per byte
+     */
+    static mapBytes(text, start = 0) {
+        const encoder = new TextEncoder();
+        const ranges = [];
+        let position = start;
+
+        for (const char of text) {
+            const byteLength = encoder.encode(char).length;
+            for (let i = 0; i < byteLength; i++) ranges.push([position, position + char.length]);
+            position += char.length;
+        }
+
+        return ranges;
+    }
+}
+
+/**
+ * Supported Unicode normalization forms
+ */
+Normalizer.FORMS = ['NFC', 'NFD', 'NFKC'];
@@ -0,0 +1,146 @@
+/**
+ * ===== AI TOKEN VISUALIZER - PRE-TOKENIZER MODULE =====
+ *
+ * This module splits text into segments before vocabulary lookup, including:
+ * - The original word and punctuation splitter
+ * - GPT-2 and cl100k regex split patterns
+ * - A whitespace-only splitter
+ * - User-entered regular expressions
+ * - Character offsets for every segment
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class PreTokenizer {
+    /**
+     * @param {Object} options - Pre-tokenizer options
+     * @param {string} options.mode - 'basic', 'gpt2', 'cl100k', 'whitespace' or 'custom'
+     * @param {string} options.pattern - Regular expression source for custom mode
+     */
+    constructor(options = {}) {
+        this.setMode(options.mode || 'basic', options.pattern);
+    }
+
+    /**
+     * Switch the split mode
+     * @param {string} mode - Split mode
+     * @param {string} pattern - Regular expression source, required for custom mode
+     */
+    setMode(mode, pattern = '') {
+        if (!PreTokenizer.MODES[mode]) {
+            throw new Error(`Unknown pre-tokenizer: ${mode}`);
+        }
+
+        if (mode === 'custom') {
+            if (!pattern) throw new Error('Enter a pattern for custom pre-tokenization');
+            try {
+                this.regex = new RegExp(pattern, 'gu');
+            } catch (error) {
+                throw new Error(`Invalid pattern: ${error.message}`);
+            }
+        } else {
+            this.regex = PreTokenizer.PATTERNS[mode] || null;
+        }
+
+        this.mode = mode;
+        this.pattern = mode === 'custom' ? pattern : '';
+    }
+
+    /**
+     * Get the display name of the current mode
+     * @returns {string} - Mode label
+     */
+    getLabel() {
+        return PreTokenizer.MODES[this.mode];
+    }
+
+    /**
+     * Split text into segments
+     * Regex modes keep text the pattern skips as extra segments, so no input is lost
+     * @param {string} text - Input text
+     * @returns {Array} - Segments with text, start and end offsets
+     */
+    split(text) {
+        if (!text) return [];
+        if (!this.regex) return this.splitBasic(text);
+
+        const segments = [];
+        let position = 0;
+
+        for (const match of text.matchAll(this.regex)) {
+            if (!match[0]) continue;
+            if (match.index > position) {
+                segments.push({ text: text.slice(position, match.index), start: position, end: match.index, unmatched: true });
+            }
+            segments.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+            position = match.index + match[0].length;
+        }
+
+        if (position < text.length) {
+            segments.push({ text: text.slice(position), start: position, end: text.length, unmatched: true });
+        }
+
+        return segments;
+    }
+
+    /**
+     * Split on whitespace and punctuation, one segment per whitespace or punctuation character
+     * @param {string} text - Input text
+     * @returns {Array} - Segments with text, start and end offsets
+     */
+    splitBasic(text) {
+        const segments = [];
+        let start = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            if (/[\s.,!?;:"'()\[\]{}\-_+=*\/\\|@#$%^&<>~`]/.test(text[i])) {
+                if (i > start) segments.push({ text: text.slice(start, i), start: start, end: i });
+                segments.push({ text: text[i], start: i, end: i + 1 });
+                start = i + 1;
+            }
+        }
+
+        if (start < text.length) segments.push({ text: text.slice(start), start: start, end: text.length });
+        return segments;
+    }
+
+    /**
+     * Build the encoding step that shows the pre-token segments
+     * @param {string} text - Input text
+     * @param {Array} segments - Segments from split()
+     * @returns {Object} - Encoding step
+     */
+    createStep(text, segments) {
+        const unmatched = segments.filter(segment => segment.unmatched).length;
+        return {
+            step: 1,
+            input: text,
+            process: `Pre-tokenize (${this.getLabel()}) into ${segments.length} segment(s)` +
+                (unmatched ? `, ${unmatched} not matched by the pattern` : ''),
+            output: segments.map(segment => JSON.stringify(segment.text)),
+            span: [0, text.length]
+        };
+    }
+}
+
+/**
+ * Available modes and their display names
+ */
+PreTokenizer.MODES = {
+    basic: 'Words & punctuation',
+    gpt2: 'GPT-2',
+    cl100k: 'cl100k',
+    whitespace: 'Whitespace',
+    custom: 'Custom regex'
+};
+
+/**
+ * Split patterns; cl100k's case-insensitive contractions are spelled out
+ * because JavaScript has no inline (?i) flag
+ */
+PreTokenizer.PATTERNS = {
+    gpt2: /'s|'t|'re|'ve|'m|'ll|'d| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu,
+    cl100k: /'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD]|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu,
+    whitespace: /\s+|\S+/gu
+};
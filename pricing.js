@@ -0,0 +1,182 @@
+/**
+ * ===== AI TOKEN VISUALIZER - PRICING MODULE =====
+ *
+ * This module holds the per-model token prices used for cost estimates, including:
+ * - A default pricing table (USD per million tokens)
+ * - Saving user edits to localStorage
+ * - JSON export of the table
+ * - Prompt, completion and batch cost calculations
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class PricingTable {
+    constructor() {
+        this.models = this.load();
+    }
+
+    /**
+     * Read the saved table, falling back to the defaults
+     * A saved table that cannot be read or no longer validates is ignored
+     * @returns {Array} - Models with name, prompt and completion prices per million tokens
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(PricingTable.STORAGE_KEY);
+            if (saved) return this.validate(JSON.parse(saved));
+        } catch (error) {
+            // Fall through to the defaults
+        }
+        return PricingTable.DEFAULTS.map(model => ({ ...model }));
+    }
+
+    /**
+     * Check a pricing table and normalize its prices to numbers
+     * @param {Array} models - Models with name, prompt and completion prices
+     * @returns {Array} - Validated models
+     */
+    validate(models) {
+        if (!Array.isArray(models) || models.length === 0) {
+            throw new Error('Pricing table must list at least one model');
+        }
+
+        const names = new Set();
+        return models.map((model, index) => {
+            const name = String(model.name || '').trim();
+            if (!name) throw new Error(`Model ${index + 1} has no name`);
+            if (names.has(name)) throw new Error(`Duplicate model: ${name}`);
+            names.add(name);
+
+            const prompt = Number(model.prompt);
+            const completion = Number(model.completion);
+            if (!(prompt >= 0) || !(completion >= 0)) {
+                throw new Error(`Prices for ${name} must be non-negative numbers`);
+            }
+
+            return { name: name, prompt: prompt, completion: completion };
+        });
+    }
+
+    /**
+     * Replace the table and save it
+     * @param {Array} models - Models with name, prompt and completion prices
+     * @returns {boolean} - False when the table applies but could not be saved
+     */
+    setModels(models) {
+        this.models = this.validate(models);
+        return this.save();
+    }
+
+    /**
+     * Save the table to localStorage
+     * @returns {boolean} - False when the browser refused to store it (e.g. private mode or quota)
+     */
+    save() {
+        try {
+            localStorage.setItem(PricingTable.STORAGE_KEY, JSON.stringify(this.models));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Restore the default prices
+     * @returns {boolean} - False when the saved table could not be removed
+     */
+    reset() {
+        this.models = PricingTable.DEFAULTS.map(model => ({ ...model }));
+        try {
+            localStorage.removeItem(PricingTable.STORAGE_KEY);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Find a model by name
+     * @param {string} name - Model name
+     * @returns {Object|null} - Model, or null when unknown
+     */
+    getModel(name) {
+        return this.models.find(model => model.name === name) || null;
+    }
+
+    /**
+     * Estimate the cost of a number of tokens
+     * @param {string} name - Model name
+     * @param {number} tokens - Token count
+     * @returns {Object} - Cost if sent as prompt and if generated as completion
+     */
+    estimate(name, tokens) {
+        const model = this.getModel(name);
+        if (!model) throw new Error(`Unknown model: ${name}`);
+
+        return {
+            prompt: tokens * model.prompt / 1e6,
+            completion: tokens * model.completion / 1e6
+        };
+    }
+
+    /**
+     * Estimate the cost of a batch of identical requests
+     * @param {string} name - Model name
+     * @param {number} requests - Number of requests
+     * @param {number} promptTokens - Prompt tokens per request
+     * @param {number} completionTokens - Completion tokens per request
+     * @returns {Object} - Total tokens and prompt, completion and total cost
+     */
+    estimateBatch(name, requests, promptTokens, completionTokens) {
+        const prompt = this.estimate(name, requests * promptTokens).prompt;
+        const completion = this.estimate(name, requests * completionTokens).completion;
+
+        return {
+            promptTokens: requests * promptTokens,
+            completionTokens: requests * completionTokens,
+            prompt: prompt,
+            completion: completion,
+            total: prompt + completion
+        };
+    }
+
+    /**
+     * Serialize the table for download
+     * @returns {string} - Pretty-printed JSON
+     */
+    exportJSON() {
+        return JSON.stringify(this.models, null, 2);
+    }
+
+    /**
+     * Format a dollar amount; small amounts keep enough digits to stay visible
+     * @param {number} amount - Amount in USD
+     * @returns {string} - Formatted amount
+     */
+    static formatCost(amount) {
+        if (amount > 0 && amount < 0.01) {
+            // Two significant digits, without falling back to exponent notation
+            return '$' + amount.toFixed(Math.min(20, 1 - Math.floor(Math.log10(amount))));
+        }
+        return '$' + amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+}
+
+/**
+ * localStorage key for the edited table
+ */
+PricingTable.STORAGE_KEY = 'tokenizer-pricing';
+
+/**
+ * Default prices in USD per million tokens; edit them to match your provider
+ */
+PricingTable.DEFAULTS = [
+    { name: 'GPT-4o', prompt: 2.5, completion: 10 },
+    { name: 'GPT-4o mini', prompt: 0.15, completion: 0.6 },
+    { name: 'Claude 3.5 Sonnet', prompt: 3, completion: 15 },
+    { name: 'Claude 3 Haiku', prompt: 0.25, completion: 1.25 }
+];
+
+// Create global instance
+const pricingTable = new PricingTable();
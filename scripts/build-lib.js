@@ -0,0 +1,111 @@
+/**
+ * ===== AI TOKEN VISUALIZER - LIBRARY BUILD SCRIPT =====
+ *
+ * This script bundles the tokenizer sources the visualizer loads into
+ * a headless library, including:
+ * - dist/token-visualizer.umd.js for require(), AMD and <script> tags
+ * - dist/token-visualizer.mjs for import
+ *
+ * The sources are wrapped in one function scope, so their classes and
+ * default instances stay private to the bundle.
+ *
+ * Usage: node scripts/build-lib.js
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SOURCES = require('./sources');
+
+const ROOT = path.join(__dirname, '..');
+const DIST = path.join(ROOT, 'dist');
+
+/**
+ * Names exported by the bundle: the default instance's methods, a factory and the classes
+ */
+const EXPORTS = `{
+        encode: text => tokenizerApi.encode(text),
+        encodeWithOffsets: text => tokenizerApi.encodeWithOffsets(text),
+        encodeDetailed: text => tokenizerApi.encodeDetailed(text),
+        decode: ids => tokenizerApi.decode(ids),
+        decodeDetailed: ids => tokenizerApi.decodeDetailed(ids),
+        countTokens: text => tokenizerApi.countTokens(text),
+        parseTokenIds: input => tokenizerApi.parseTokenIds(input),
+        loadVocabulary: contents => tokenizerApi.loadVocabulary(contents),
+        loadVocabularyFiles: files => tokenizerApi.loadVocabularyFiles(files),
+        resetVocabulary: () => tokenizerApi.resetVocabulary(),
+        getVocabulary: searchTerm => tokenizerApi.getVocabulary(searchTerm),
+        validateVocabulary: () => tokenizerApi.validateVocabulary(),
+        listTokenizers: () => tokenizerApi.listTokenizers(),
+        useTokenizer: name => tokenizerApi.useTokenizer(name),
+        getTokenizer: () => tokenizerApi.getTokenizer(),
+        createTokenizer: () => new TokenizerAPI(),
+        TokenizerAPI: TokenizerAPI,
+        TokenVisualizer: TokenVisualizer,
+        VocabularyLoader: VocabularyLoader,
+        Normalizer: Normalizer,
+        PreTokenizer: PreTokenizer,
+        BPEEncoder: BPEEncoder,
+        WordPieceEncoder: WordPieceEncoder,
+        UnigramEncoder: UnigramEncoder
+    }`;
+
+/**
+ * Build the factory function that evaluates the sources and returns the exports
+ * @param {string} version - Package version, recorded in the bundle
+ * @returns {string} - Function expression source
+ */
+function buildFactory(version) {
+    const body = SOURCES.map(file =>
+        `// ----- ${file} -----\n${fs.readFileSync(path.join(ROOT, file), 'utf8')}`
+    ).join('\n');
+
+    return `function () {
+'use strict';
+
+${body}
+
+    return Object.assign(${EXPORTS}, { version: ${JSON.stringify(version)} });
+}`;
+}
+
+/**
+ * Write both bundles to dist/
+ */
+function build() {
+    const pkg = JSON.parse(fs.readFileSync(path.join(ROOT, 'package.json'), 'utf8'));
+    const banner = `/*! ${pkg.name} ${pkg.version} | ${pkg.license} | generated by scripts/build-lib.js, do not edit */\n`;
+    const factory = buildFactory(pkg.version);
+
+    const umd = `${banner}(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else {
+        root.AITokenVisualizer = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, ${factory});
+`;
+
+    const esm = `${banner}const library = (${factory})();
+
+export default library;
+export const {
+    encode, encodeWithOffsets, encodeDetailed, decode, decodeDetailed, countTokens, parseTokenIds,
+    loadVocabulary, loadVocabularyFiles, resetVocabulary, getVocabulary, validateVocabulary,
+    listTokenizers, useTokenizer, getTokenizer, createTokenizer,
+    TokenizerAPI, TokenVisualizer, VocabularyLoader, Normalizer, PreTokenizer,
+    BPEEncoder, WordPieceEncoder, UnigramEncoder, version
+} = library;
+`;
+
+    fs.mkdirSync(DIST, { recursive: true });
+    fs.writeFileSync(path.join(DIST, 'token-visualizer.umd.js'), umd);
+    fs.writeFileSync(path.join(DIST, 'token-visualizer.mjs'), esm);
+    console.log(`Built dist/token-visualizer.umd.js and dist/token-visualizer.mjs from ${SOURCES.length} sources`);
+}
+
+build();
@@ -0,0 +1,21 @@
+/**
+ * ===== AI TOKEN VISUALIZER - TOKENIZER SOURCES =====
+ *
+ * The tokenizer sources in load order, shared by the library build
+ * and the tests. index.html must load them in the same order.
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+module.exports = [
+    'normalizer.js',
+    'pretokenizer.js',
+    'bpe.js',
+    'wordpiece.js',
+    'unigram.js',
+    'vocab-loader.js',
+    'vocab-validator.js',
+    'tokenizer.js',
+    'tokenizer-api.js'
+];
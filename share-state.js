@@ -0,0 +1,198 @@
+/**
+ * ===== AI TOKEN VISUALIZER - SHARE STATE MODULE =====
+ *
+ * This module keeps the page state in a shareable URL hash, including:
+ * - Capturing the input text, tokenizer settings, tab and vocabulary view
+ * - Deflate compression and URL-safe base64 encoding
+ * - Restoring a captured state and reporting what could not be restored
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class ShareState {
+    /**
+     * Capture the current page state
+     * @param {UIManager} ui - UI manager that owns the controls
+     * @returns {Object} - Serializable state
+     */
+    capture(ui) {
+        const preTokenizer = tokenizer.getPreTokenizer();
+        const activeTab = document.querySelector('.tab-btn.active');
+
+        return {
+            version: ShareState.VERSION,
+            text: ui.elements.inputText.value,
+            tokenizer: tokenizer.activeEncoderName,
+            vocabulary: this.getTokenizerLabel(),
+            lossless: tokenizer.lossless,
+            parseSpecialTokens: tokenizer.parseSpecialTokens,
+            preTokenizer: preTokenizer ? { mode: preTokenizer.mode, pattern: preTokenizer.pattern } : null,
+            normalizer: {
+                form: tokenizer.normalizer.form,
+                lowercase: tokenizer.normalizer.lowercase,
+                stripAccents: tokenizer.normalizer.stripAccents,
+                collapseWhitespace: tokenizer.normalizer.collapseWhitespace
+            },
+            tab: activeTab ? activeTab.dataset.tab : null,
+            showAscii: ui.elements.showAsciiBtn.classList.contains('active'),
+            search: ui.elements.vocabSearch.value
+        };
+    }
+
+    /**
+     * Restore a captured state
+     * @param {Object} state - State from capture()
+     * @param {UIManager} ui - UI manager that owns the controls
+     * @returns {Array} - Warnings for settings that could not be restored
+     */
+    apply(state, ui) {
+        const warnings = [];
+
+        try {
+            tokenizer.setActiveEncoder(state.tokenizer);
+        } catch (error) {
+            warnings.push(`Tokenizer ${this.quote(state.vocabulary || state.tokenizer)} is not loaded here`);
+        }
+        if (state.vocabulary && this.getTokenizerLabel() !== state.vocabulary && warnings.length === 0) {
+            warnings.push(`The link used ${this.quote(state.vocabulary)}; import that vocabulary to see the same tokens`);
+        }
+
+        tokenizer.setLossless(!!state.lossless);
+        tokenizer.setParseSpecialTokens(!!state.parseSpecialTokens);
+        if (state.normalizer) tokenizer.setNormalizer(state.normalizer);
+        if (state.preTokenizer && tokenizer.getPreTokenizer()) {
+            try {
+                tokenizer.setPreTokenizer(state.preTokenizer.mode, state.preTokenizer.pattern);
+            } catch (error) {
+                warnings.push(`Pre-tokenizer not restored: ${this.quote(error.message)}`);
+            }
+        }
+
+        ui.elements.losslessToggle.checked = tokenizer.lossless;
+        ui.elements.specialTokensToggle.checked = tokenizer.parseSpecialTokens;
+        ui.elements.normalizerForm.value = tokenizer.normalizer.form;
+        ui.elements.normalizerLowercase.checked = tokenizer.normalizer.lowercase;
+        ui.elements.normalizerStripAccents.checked = tokenizer.normalizer.stripAccents;
+        ui.elements.normalizerCollapseWhitespace.checked = tokenizer.normalizer.collapseWhitespace;
+        ui.syncTokenizerControls();
+
+        ui.elements.inputText.value = state.text || '';
+        ui.elements.vocabSearch.value = state.search || '';
+        if (!!state.showAscii !== ui.elements.showAsciiBtn.classList.contains('active')) {
+            ui.handleAsciiToggle();
+        }
+
+        const tabButton = Array.from(document.querySelectorAll('.tab-btn')).find(button => button.dataset.tab === state.tab);
+        if (tabButton) tabButton.click();
+
+        ui.resetTokenizerResults();
+        return warnings;
+    }
+
+    /**
+     * Quote a value read from a shared link for a warning, escaping quotes and control characters
+     * @param {*} value - Value from the link
+     * @returns {string} - Quoted text, shortened to ShareState.QUOTE_LIMIT characters
+     */
+    quote(value) {
+        const text = String(value);
+        return JSON.stringify(text.length > ShareState.QUOTE_LIMIT ? `${text.slice(0, ShareState.QUOTE_LIMIT)}…` : text);
+    }
+
+    /**
+     * Get the display name of the active tokenizer, which names any imported vocabulary
+     * @returns {string} - Tokenizer label
+     */
+    getTokenizerLabel() {
+        const active = tokenizer.getEncoders().find(encoder => encoder.name === tokenizer.activeEncoderName);
+        return active ? active.label : tokenizer.activeEncoderName;
+    }
+
+    /**
+     * Serialize a state into a URL hash
+     * @param {Object} state - State from capture()
+     * @returns {Promise<string>} - Hash, including the leading '#'
+     */
+    async toHash(state) {
+        const bytes = new TextEncoder().encode(JSON.stringify(state));
+
+        // 'z' marks deflate-compressed data, 'j' plain JSON for browsers without CompressionStream
+        if (typeof CompressionStream === 'undefined') {
+            return `#${ShareState.HASH_KEY}=j${this.toBase64Url(bytes)}`;
+        }
+
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+        return `#${ShareState.HASH_KEY}=z${this.toBase64Url(compressed)}`;
+    }
+
+    /**
+     * Read a state from a URL hash
+     * @param {string} hash - URL hash, e.g. location.hash
+     * @returns {Promise<Object|null>} - State, or null when the hash holds none
+     */
+    async fromHash(hash) {
+        const payload = new URLSearchParams(hash.replace(/^#/, '')).get(ShareState.HASH_KEY);
+        if (!payload) return null;
+
+        let bytes = this.fromBase64Url(payload.slice(1));
+        if (payload[0] === 'z') {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot decompress shared links');
+            }
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        } else if (payload[0] !== 'j') {
+            throw new Error('Unrecognized shared link format');
+        }
+
+        const state = JSON.parse(new TextDecoder().decode(bytes));
+        if (state.version !== ShareState.VERSION) {
+            throw new Error(`Unsupported shared link version: ${state.version}`);
+        }
+        return state;
+    }
+
+    /**
+     * Encode bytes as URL-safe base64 without padding
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} - Base64url text
+     */
+    toBase64Url(bytes) {
+        let binary = '';
+        // Chunked so long inputs stay within the argument limit of fromCharCode
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode URL-safe base64
+     * @param {string} text - Base64url text
+     * @returns {Uint8Array} - Decoded bytes
+     */
+    fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+}
+
+/**
+ * Version of the captured state layout
+ */
+ShareState.VERSION = 1;
+
+/**
+ * Hash parameter that holds the state
+ */
+ShareState.HASH_KEY = 'state';
+
+/**
+ * Longest value from a shared link quoted in a warning
+ */
+ShareState.QUOTE_LIMIT = 60;
+
+// Create global instance
+const shareState = new ShareState();
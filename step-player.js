@@ -0,0 +1,185 @@
+/**
+ * ===== AI TOKEN VISUALIZER - STEP PLAYER MODULE =====
+ *
+ * This module provides a playback controller for step sequences, including:
+ * - Play/pause and step forward/back buttons
+ * - A scrubber to jump to any step
+ * - A playback speed control
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class StepPlayer {
+    /**
+     * @param {HTMLElement} container - Element the controls are rendered into
+     * @param {Function} onStep - Called with the step index whenever the position changes
+     */
+    constructor(container, onStep) {
+        this.container = container;
+        this.onStep = onStep;
+        this.count = 0;
+        this.index = 0;
+        this.speed = 1;
+        this.timer = null;
+
+        this.container.classList.add('step-player', 'hidden');
+        this.container.innerHTML = `
+            <button class="player-btn" data-action="back" title="Step back">
+                <i class="fas fa-backward-step"></i>
+            </button>
+            <button class="player-btn player-play" data-action="play" title="Play">
+                <i class="fas fa-play"></i>
+            </button>
+            <button class="player-btn" data-action="forward" title="Step forward">
+                <i class="fas fa-forward-step"></i>
+            </button>
+            <input type="range" class="player-scrubber" min="0" max="0" value="0" aria-label="Step">
+            <span class="player-position"></span>
+            <select class="player-speed" aria-label="Playback speed">
+                ${StepPlayer.SPEEDS.map(speed => `<option value="${speed}" ${speed === 1 ? 'selected' : ''}>${speed}×</option>`).join('')}
+            </select>
+        `;
+
+        this.elements = {
+            playBtn: this.container.querySelector('[data-action="play"]'),
+            scrubber: this.container.querySelector('.player-scrubber'),
+            position: this.container.querySelector('.player-position'),
+            speed: this.container.querySelector('.player-speed')
+        };
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            if (button.dataset.action === 'play') this.toggle();
+            if (button.dataset.action === 'back') this.step(-1);
+            if (button.dataset.action === 'forward') this.step(1);
+        });
+        this.elements.scrubber.addEventListener('input', () => {
+            this.pause();
+            this.seek(Number(this.elements.scrubber.value));
+        });
+        this.elements.speed.addEventListener('change', () => this.setSpeed(Number(this.elements.speed.value)));
+    }
+
+    /**
+     * Load a new sequence
+     * Short sequences play from the first step; longer ones would take minutes,
+     * so they open paused on the last step
+     * @param {number} count - Number of steps
+     */
+    load(count) {
+        this.pause();
+        this.count = count;
+        this.elements.scrubber.max = Math.max(count - 1, 0);
+        this.container.classList.toggle('hidden', count === 0);
+        if (count === 0) return;
+
+        if (count > StepPlayer.AUTOPLAY_LIMIT) {
+            this.seek(count - 1);
+            return;
+        }
+
+        this.seek(0);
+        if (count > 1) this.play();
+    }
+
+    /**
+     * Stop playback and hide the controls
+     */
+    clear() {
+        this.load(0);
+    }
+
+    /**
+     * Start playback; from the end it starts over
+     */
+    play() {
+        if (this.count === 0) return;
+        if (this.index >= this.count - 1) this.seek(0);
+
+        clearInterval(this.timer);
+        this.timer = setInterval(() => {
+            if (this.index >= this.count - 1) {
+                this.pause();
+                return;
+            }
+            this.seek(this.index + 1);
+        }, StepPlayer.INTERVAL / this.speed);
+        this.renderPlayButton();
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.renderPlayButton();
+    }
+
+    /**
+     * Toggle between playing and paused
+     */
+    toggle() {
+        if (this.timer) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Pause and move by a number of steps
+     * @param {number} delta - Steps to move, negative to go back
+     */
+    step(delta) {
+        this.pause();
+        this.seek(this.index + delta);
+    }
+
+    /**
+     * Jump to a step
+     * @param {number} index - Step index, clamped to the sequence
+     */
+    seek(index) {
+        if (this.count === 0) return;
+        this.index = Math.min(Math.max(index, 0), this.count - 1);
+        this.elements.scrubber.value = this.index;
+        this.elements.position.textContent = `Step ${this.index + 1} / ${this.count}`;
+        this.onStep(this.index);
+    }
+
+    /**
+     * Change the playback speed, keeping playback running
+     * @param {number} speed - Multiplier of the base speed
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+        if (this.timer) this.play();
+    }
+
+    /**
+     * Show play or pause on the play button
+     */
+    renderPlayButton() {
+        const playing = !!this.timer;
+        this.elements.playBtn.innerHTML = `<i class="fas fa-${playing ? 'pause' : 'play'}"></i>`;
+        this.elements.playBtn.title = playing ? 'Pause' : 'Play';
+    }
+}
+
+/**
+ * Milliseconds per step at 1× speed
+ */
+StepPlayer.INTERVAL = 800;
+
+/**
+ * Longest sequence that plays automatically when loaded
+ */
+StepPlayer.AUTOPLAY_LIMIT = 20;
+
+/**
+ * Playback speed multipliers
+ */
+StepPlayer.SPEEDS = [0.5, 1, 2, 4];
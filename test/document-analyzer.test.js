@@ -0,0 +1,58 @@
+/**
+ * ===== AI TOKEN VISUALIZER - DOCUMENT ANALYZER TESTS =====
+ *
+ * Unit tests for DocumentAnalyzer, including:
+ * - Chunked token counts matching a single encode for every encoder
+ * - Chunks that join back into the document
+ * - Widening chunks that have no split point
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGlobals, TOKENIZER_SOURCES, createRandom, randomText } = require('./helpers');
+
+describe('DocumentAnalyzer', () => {
+    const random = createRandom(7);
+    const text = Array.from({ length: 150 }, () => randomText(random, 20)).join('\n');
+    let tokenizer;
+    let documentAnalyzer;
+
+    beforeEach(() => {
+        ({ tokenizer, documentAnalyzer } = loadGlobals(['tokenizer', 'documentAnalyzer'],
+            TOKENIZER_SOURCES.concat('document-analyzer.js')));
+    });
+
+    ['word', 'bpe', 'wordpiece', 'unigram'].forEach(name => {
+        it(`counts the same tokens in chunks as in one pass with the ${name} encoder`, async () => {
+            tokenizer.setActiveEncoder(name);
+            const report = await documentAnalyzer.analyze(text, { chunkSize: 500 });
+            assert.equal(report.tokens, tokenizer.encodeText(text).tokens.length);
+        });
+    });
+
+    ['word', 'bpe', 'wordpiece', 'unigram'].forEach(name => {
+        it(`widens chunks without a split point instead of cutting them with the ${name} encoder`, async () => {
+            tokenizer.setActiveEncoder(name);
+            const sample = text.slice(0, 2000);
+            const report = await documentAnalyzer.analyze(sample, { chunkSize: 25 });
+            assert.equal(report.tokens, tokenizer.encodeText(sample).tokens.length);
+        });
+    });
+
+    it('keeps the count with a regex pre-tokenizer and a normalizer', async () => {
+        tokenizer.setPreTokenizer('cl100k');
+        tokenizer.normalizer.configure({ form: 'NFC', collapseWhitespace: true });
+        const report = await documentAnalyzer.analyze(text, { chunkSize: 300 });
+        assert.equal(report.tokens, tokenizer.encodeText(text).tokens.length);
+    });
+
+    it('splits into chunks that join back into the text', () => {
+        const chunks = documentAnalyzer.splitChunks(text, 500);
+        assert.ok(chunks.length > 1);
+        assert.ok(chunks.every(chunk => chunk.length <= 500));
+        assert.equal(chunks.join(''), text);
+    });
+});
@@ -0,0 +1,144 @@
+/**
+ * ===== AI TOKEN VISUALIZER - TEST HELPERS =====
+ *
+ * This module loads the browser sources for the tests, including:
+ * - Running the tokenizer sources in a fresh scope, as the library build does
+ * - Opening index.html in jsdom with every script inlined
+ * - A seeded random text generator for property tests
+ *
+ * Everything runs offline: scripts are read from disk and jsdom does
+ * not fetch the page's external stylesheets.
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TOKENIZER_SOURCES = require('../scripts/sources');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Run source files in a fresh function scope and read back their globals
+ * A new scope per call gives each test its own classes and default instances,
+ * while keeping them in this realm so deepStrictEqual compares arrays as usual
+ * @param {Array} names - Global names to return
+ * @param {Array} files - Source files, relative to the repository root
+ * @returns {Object} - The requested globals by name
+ */
+function loadGlobals(names, files = TOKENIZER_SOURCES) {
+    const source = files.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n');
+    return new Function(`${source}\nreturn { ${names.join(', ')} };`)();
+}
+
+/**
+ * Open index.html in jsdom with its scripts inlined and wait for the app to start
+ * @returns {Promise<Object>} - jsdom window, with errors collected in window.testErrors
+ */
+async function loadPage() {
+    const { JSDOM, VirtualConsole } = require('jsdom');
+
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+        .replace(/<script src="([^"]+)"><\/script>/g, (match, file) =>
+            `<script>${fs.readFileSync(path.join(ROOT, file), 'utf8')}\n//# sourceURL=${file}</script>`);
+
+    // Page logging is noise here; uncaught errors are collected for assertions
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+
+    const dom = new JSDOM(html, {
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        url: 'http://localhost/',
+        virtualConsole: virtualConsole,
+        beforeParse(window) {
+            window.TextEncoder = TextEncoder;
+            window.TextDecoder = TextDecoder;
+            window.testErrors = errors;
+
+            // jsdom does not lay out text, so innerText is missing; textContent is close enough here
+            Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+                get() { return this.textContent; }
+            });
+
+            // Records what the copy buttons write
+            window.testClipboard = [];
+            Object.defineProperty(window.navigator, 'clipboard', {
+                value: { writeText: async text => { window.testClipboard.push(text); } }
+            });
+        }
+    });
+
+    const window = dom.window;
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+    return window;
+}
+
+/**
+ * Set a field's value and fire the event a user edit would
+ * @param {HTMLElement} element - Input, textarea or select
+ * @param {string} value - New value
+ * @param {string} type - Event type ('input' or 'change')
+ */
+function setValue(element, value, type = 'input') {
+    element.value = value;
+    element.dispatchEvent(new element.ownerDocument.defaultView.Event(type, { bubbles: true }));
+}
+
+/**
+ * Wait for pending promise callbacks, e.g. after an async click handler
+ * @returns {Promise} - Resolves on the next macrotask
+ */
+function flush() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so property tests are reproducible
+ * @param {number} seed - Seed
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Pieces random texts are built from: vocabulary words, punctuation, whitespace runs,
+ * accents, CJK, and astral characters that need surrogate pairs
+ */
+const TEXT_PIECES = [
+    'the', 'The', 'THE', 'cat', 'is', 'new', 'hello', 'World', 'don\'t', '42',
+    '.', ',', '!', '?', '"', '(', ')', '-', '<', '>',
+    ' ', '  ', '\n', '\t', ' \n ', '\r\n',
+    'é', 'café', 'naïve', 'Ångström', 'e\u0301',
+    '日本語', '中', 'ü',
+    '👋', '😀', '👨‍👩‍👧', '𝔘', '🇩🇪'
+];
+
+/**
+ * Build a random text from TEXT_PIECES
+ * @param {Function} random - Generator from createRandom()
+ * @param {number} maxPieces - Maximum number of pieces
+ * @returns {string} - Random text
+ */
+function randomText(random, maxPieces = 12) {
+    const count = Math.floor(random() * (maxPieces + 1));
+    let text = '';
+    for (let i = 0; i < count; i++) {
+        text += TEXT_PIECES[Math.floor(random() * TEXT_PIECES.length)];
+    }
+    return text;
+}
+
+module.exports = { ROOT, TOKENIZER_SOURCES, loadGlobals, loadPage, setValue, flush, createRandom, randomText };
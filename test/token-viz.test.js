@@ -0,0 +1,70 @@
+/**
+ * ===== AI TOKEN VISUALIZER - COMMAND LINE TESTS =====
+ *
+ * Unit tests for the token-viz command, including:
+ * - encode and count output
+ * - The --max-tokens budget and its exit status
+ * - Usage errors
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGlobals } = require('./helpers');
+const TokenVizCli = require('../bin/token-viz');
+
+/**
+ * Run a command line against the tokenizer sources, without a dist/ build
+ * @param {Array} argv - Arguments after the program name
+ * @param {string} stdin - Standard input text
+ * @returns {Object} - Exit status, stdout and stderr text
+ */
+function run(argv, stdin = '') {
+    const { TokenizerAPI } = loadGlobals(['TokenizerAPI']);
+    const library = { version: '1.0.0', createTokenizer: () => new TokenizerAPI() };
+    const output = { stdout: '', stderr: '' };
+    const stream = name => ({ write: text => { output[name] += text; } });
+
+    const cli = new TokenVizCli(library, { readStdin: () => stdin, stdout: stream('stdout'), stderr: stream('stderr') });
+    const status = cli.run(argv);
+    return Object.assign({ status: status }, output);
+}
+
+describe('token-viz', () => {
+    it('encodes stdin', () => {
+        const result = run(['encode'], 'the cat');
+        assert.equal(result.stdout, '10 207 2099 2097 2116\n');
+        assert.equal(result.status, 0);
+    });
+
+    it('fails with status 1 when an input is over --max-tokens', () => {
+        assert.equal(run(['count', '--max-tokens', '5'], 'the cat').status, 0);
+
+        const result = run(['count', '--max-tokens', '4'], 'the cat');
+        assert.equal(result.status, 1);
+        assert.match(result.stderr, /5 tokens exceeds --max-tokens 4 by 1/);
+    });
+
+    it('rejects --max-tokens values that are not whole numbers', () => {
+        ['', ' ', '-1', '1.5', '1e3', 'abc'].forEach(value => {
+            const result = run(['count', `--max-tokens=${value}`], 'the cat');
+            assert.equal(result.status, 2, JSON.stringify(value));
+            assert.match(result.stderr, /--max-tokens must be a non-negative integer/);
+        });
+    });
+
+    it('rejects --max-tokens for commands that do not count tokens', () => {
+        ['decode', 'vocab'].forEach(command => {
+            const result = run([command, '--max-tokens', '5'], '10');
+            assert.equal(result.status, 2, command);
+            assert.match(result.stderr, /--max-tokens only applies to encode and count/);
+        });
+    });
+
+    it('reports unknown commands and tokenizers', () => {
+        assert.match(run(['tokenize']).stderr, /Unknown command: tokenize/);
+        assert.match(run(['encode', '-t', 'sentencepiece'], 'x').stderr, /Unknown tokenizer: sentencepiece/);
+    });
+});
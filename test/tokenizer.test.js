@@ -0,0 +1,261 @@
+/**
+ * ===== AI TOKEN VISUALIZER - TOKENIZER TESTS =====
+ *
+ * Unit tests for TokenVisualizer, including:
+ * - Golden outputs for the built-in vocabulary and encoders
+ * - Round-trip and offset properties over seeded random text
+ * - Edge cases: empty input, whitespace, surrogate pairs, special tokens
+ * - Vocabulary integrity, token input parsing and truncation
+ * - The source load order shared by index.html, the library build and the tests
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, TOKENIZER_SOURCES, loadGlobals, createRandom, randomText } = require('./helpers');
+
+/**
+ * Create a tokenizer from freshly loaded sources, so tests cannot leak settings into each other
+ * @returns {TokenVisualizer} - New tokenizer with default settings
+ */
+function createTokenizer() {
+    const { TokenVisualizer } = loadGlobals(['TokenVisualizer']);
+    return new TokenVisualizer();
+}
+
+describe('TokenVisualizer golden outputs', () => {
+    let tokenizer;
+    beforeEach(() => { tokenizer = createTokenizer(); });
+
+    it('encodes with word lookup, case markers and byte fallback', () => {
+        // <CAP> the ␠ c a t ␠ is ␠ new
+        assert.deepEqual(tokenizer.encodeText('The cat is new').tokens,
+            [208, 10, 207, 2099, 2097, 2116, 207, 110, 207, 101]);
+    });
+
+    it('decodes UTF-8 byte tokens', () => {
+        assert.equal(tokenizer.decodeTokens([2072, 2101, 2108, 2108, 2111]).text, 'Hello');
+    });
+
+    it('encodes with each built-in encoder', () => {
+        const golden = {
+            bpe: [355, 297, 78, 357, 335],
+            wordpiece: [5, 25, 255, 255, 258, 230, 258, 261, 255, 247, 6],
+            unigram: [37, 30]
+        };
+
+        Object.entries(golden).forEach(([name, tokens]) => {
+            tokenizer.setActiveEncoder(name);
+            assert.deepEqual(tokenizer.encodeText('Hello world').tokens, tokens, name);
+        });
+    });
+
+    it('records one step per looked-up word', () => {
+        const result = tokenizer.encodeText('the cat');
+        const lookups = result.steps.filter(step => step.emitted);
+        assert.deepEqual(lookups.map(step => step.input), ['the', ' ', 'cat']);
+        assert.deepEqual(lookups.map(step => step.span), [[0, 3], [3, 4], [4, 7]]);
+    });
+});
+
+describe('TokenVisualizer round trip', () => {
+    const random = createRandom(20240611);
+    const texts = Array.from({ length: 200 }, () => randomText(random));
+
+    ['word', 'bpe'].forEach(name => {
+        it(`restores random text exactly with the ${name} encoder`, () => {
+            const tokenizer = createTokenizer();
+            tokenizer.setActiveEncoder(name);
+
+            texts.forEach(text => {
+                const check = tokenizer.verifyRoundTrip(text);
+                assert.ok(check.passed, `${JSON.stringify(text)} decoded as ${JSON.stringify(check.decodedText)}`);
+            });
+        });
+    });
+
+    ['word', 'bpe', 'wordpiece', 'unigram'].forEach(name => {
+        it(`gives every ${name} token an in-bounds offset and accounts for it in one step`, () => {
+            const tokenizer = createTokenizer();
+            tokenizer.setActiveEncoder(name);
+
+            texts.forEach(text => {
+                const result = tokenizer.encodeText(text);
+                const offsets = result.offsets || [];
+                const label = JSON.stringify(text);
+
+                assert.equal(offsets.length, result.tokens.length, label);
+                offsets.forEach(([start, end]) => {
+                    assert.ok(start >= 0 && start <= end && end <= text.length, `${label}: [${start}, ${end})`);
+                });
+
+                const emitted = result.steps.reduce((sum, step) => sum + (step.emitted || 0), 0);
+                assert.equal(emitted, result.tokens.length, label);
+            });
+        });
+    });
+
+    it('keeps every space in lossless mode', () => {
+        const tokenizer = createTokenizer();
+        ['a  b', '   ', ' leading', 'trailing ', 'tab\there', 'new\n\nlines'].forEach(text => {
+            assert.equal(tokenizer.decodeTokens(tokenizer.encodeText(text).tokens).text, text);
+        });
+    });
+
+    it('drops plain spaces and casing in lossy mode', () => {
+        const tokenizer = createTokenizer();
+        tokenizer.setLossless(false);
+        assert.equal(tokenizer.decodeTokens(tokenizer.encodeText('The  cat').tokens).text, 'thecat');
+    });
+});
+
+describe('TokenVisualizer edge cases', () => {
+    let tokenizer;
+    beforeEach(() => { tokenizer = createTokenizer(); });
+
+    it('encodes empty input to no tokens', () => {
+        ['word', 'bpe', 'wordpiece', 'unigram'].forEach(name => {
+            tokenizer.setActiveEncoder(name);
+            assert.deepEqual(tokenizer.encodeText('').tokens, [], name);
+        });
+        assert.equal(tokenizer.decodeTokens([]).text, '');
+    });
+
+    it('never splits a surrogate pair', () => {
+        // U+1F44B is F0 9F 91 8B in UTF-8
+        assert.deepEqual(tokenizer.encodeText('👋').tokens, [2240, 2159, 2145, 2139]);
+        assert.equal(tokenizer.decodeTokens(tokenizer.encodeText('a 👋 𝔘 b').tokens).text, 'a 👋 𝔘 b');
+
+        // Each byte of the emoji carries the offsets of the whole pair
+        assert.deepEqual(tokenizer.encodeText('👋').offsets, [[0, 2], [0, 2], [0, 2], [0, 2]]);
+    });
+
+    it('groups the byte tokens of one character', () => {
+        const groups = tokenizer.groupTokens(tokenizer.encodeText('é!').tokens);
+        assert.equal(groups[0].text, 'é');
+        assert.equal(groups[0].tokens.length, 2);
+    });
+
+    it('encodes a lone surrogate as U+FFFD', () => {
+        assert.equal(tokenizer.decodeTokens(tokenizer.encodeText('x\ud83dy').tokens).text, 'x\ufffdy');
+    });
+
+    it('waits for the rest of a multi-byte character before decoding it', () => {
+        const steps = tokenizer.decodeTokens([2240, 2159, 2145, 2139]).steps;
+        assert.deepEqual(steps.map(step => step.output), ['', '', '', '👋']);
+    });
+
+    it('encodes texts with more tokens than a call can take as arguments', () => {
+        const text = 'hello world\n'.repeat(20000);
+        assert.equal(tokenizer.encodeText(text).tokens.length, 240000);
+        assert.equal(tokenizer.encodeText('x'.repeat(200000)).tokens.length, 200000);
+    });
+
+    it('decodes unknown ids as <UNK>', () => {
+        assert.equal(tokenizer.decodeTokens([10, 99999]).text, 'the<UNK>');
+    });
+
+    it('parses special tokens literally only when enabled', () => {
+        assert.deepEqual(tokenizer.encodeText('a<PAD>b').tokens, [15, 201, 2080, 2065, 2068, 202, 2098]);
+
+        tokenizer.setParseSpecialTokens(true);
+        assert.deepEqual(tokenizer.encodeText('a<PAD>b').tokens, [15, 0, 2098]);
+    });
+});
+
+describe('TokenVisualizer vocabulary', () => {
+    let tokenizer;
+    beforeEach(() => { tokenizer = createTokenizer(); });
+
+    it('assigns every built-in token exactly one id', () => {
+        assert.equal(tokenizer.vocabulary.size, tokenizer.reverseVocabulary.size);
+        for (const [token, tokenId] of tokenizer.vocabulary) {
+            assert.equal(tokenizer.reverseVocabulary.get(tokenId), token);
+        }
+        assert.ok(tokenizer.validateVocabulary().valid);
+    });
+
+    it('keeps the ids of earlier versions', () => {
+        const ids = ['<PAD>', 'the', 'have', 'many', '.', ' ', '<CAP>', '<UPPER>'].map(token => tokenizer.vocabulary.get(token));
+        assert.deepEqual(ids, [0, 10, 156, 172, 173, 207, 208, 209]);
+
+        // Ids only a removed duplicate word used stay unassigned
+        assert.equal(tokenizer.reverseVocabulary.has(18), false);
+        assert.equal(tokenizer.byteOffset, 2000);
+    });
+
+    it('finds vocabulary entries by search term', () => {
+        const entries = tokenizer.getVocabulary('the');
+        assert.ok(entries.length > 0);
+        assert.ok(entries.every(entry => entry.character.includes('the')));
+        assert.ok(entries.every((entry, index) => index === 0 || entries[index - 1].token <= entry.token));
+    });
+
+    it('includes the printable ASCII byte tokens on request', () => {
+        const withAscii = tokenizer.getVocabulary('', true);
+        const ascii = withAscii.filter(entry => entry.type === 'ascii');
+        assert.equal(ascii.length, 95);
+        assert.deepEqual(ascii[0], { character: ' ', token: 2032, type: 'ascii' });
+    });
+
+    it('reports id collisions in an imported vocabulary', () => {
+        tokenizer.installVocabulary({
+            kind: 'wordpiece',
+            name: 'test',
+            vocab: new Map([['[UNK]', 0], ['a', 1], ['b', 1]]),
+            entries: [['[UNK]', 0], ['a', 1], ['b', 1]],
+            unkToken: '[UNK]'
+        });
+        assert.equal(tokenizer.validationReport.valid, false);
+        assert.equal(tokenizer.validationReport.collisions.length, 1);
+    });
+});
+
+describe('TokenVisualizer token input parsing', () => {
+    let tokenizer;
+    beforeEach(() => { tokenizer = createTokenizer(); });
+
+    it('accepts lists, JSON, hex and Python output', () => {
+        const inputs = ['100, 200', '100 200', '100\n200', '[100, 200]', '0x64, 0xC8',
+            'tensor([[100, 200]])', 'array([100, 200], dtype=int32)', '(100, 200)'];
+        inputs.forEach(input => {
+            assert.deepEqual(tokenizer.parseTokenInput(input), { tokens: [100, 200], errors: [] }, input);
+        });
+    });
+
+    it('marks malformed and out-of-range entries where they are', () => {
+        const { tokens, errors } = tokenizer.parseTokenInput('100, 12abc, 99999');
+        assert.deepEqual(tokens, [100, 99999]);
+        assert.deepEqual(errors.map(error => [error.kind, error.start, error.end]), [['malformed', 5, 10], ['range', 12, 17]]);
+    });
+});
+
+describe('TokenVisualizer truncation', () => {
+    const tokenizer = createTokenizer();
+    const tokens = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+    it('keeps the start, the end or both ends', () => {
+        assert.deepEqual(tokenizer.truncateTokens(tokens, 4, 'head').head, [1, 2, 3, 4]);
+        assert.deepEqual(tokenizer.truncateTokens(tokens, 4, 'tail').tail, [7, 8, 9, 10]);
+
+        const middle = tokenizer.truncateTokens(tokens, 4, 'middle');
+        assert.deepEqual([middle.head, middle.tail], [[1, 2], [9, 10]]);
+        assert.equal(middle.removedCount, 6);
+    });
+
+    it('removes nothing within the limit', () => {
+        assert.equal(tokenizer.truncateTokens(tokens, 10, 'head').removedCount, 0);
+    });
+});
+
+describe('Tokenizer sources', () => {
+    it('are loaded by index.html in the shared order', () => {
+        const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+        const scripts = Array.from(html.matchAll(/<script src="([^"]+)"><\/script>/g), match => match[1]);
+        assert.deepEqual(scripts.filter(file => TOKENIZER_SOURCES.includes(file)), TOKENIZER_SOURCES);
+    });
+});
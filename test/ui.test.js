@@ -0,0 +1,296 @@
+/**
+ * ===== AI TOKEN VISUALIZER - UI TESTS =====
+ *
+ * jsdom tests for UIManager, including:
+ * - Encode and decode flows with their sequences and results
+ * - Live visualization statistics, including with Unigram sampling
+ * - Vocabulary search and the ASCII range toggle
+ * - Copy to clipboard
+ * - Restoring shared links
+ * - Tokenizer comparison
+ * - Dataset analysis
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, setValue, flush } = require('./helpers');
+
+describe('UIManager', () => {
+    let window;
+    let document;
+    const $ = id => document.getElementById(id);
+
+    beforeEach(async () => {
+        window = await loadPage();
+        document = window.document;
+    });
+
+    afterEach(() => {
+        assert.deepEqual(window.testErrors.map(error => error.message), []);
+        window.close();
+    });
+
+    it('starts the application', () => {
+        assert.equal(window.tokenVisualizerApp.initialized, true);
+        assert.ok(window.uiManager);
+    });
+
+    describe('encoding', () => {
+        it('shows the token ids, the sequence and the round-trip check', () => {
+            setValue($('input-text'), 'The cat is new');
+            $('encode-btn').click();
+
+            assert.equal($('encoding-result').textContent, '[208, 10, 207, 2099, 2097, 2116, 207, 110, 207, 101]');
+            assert.ok(document.querySelectorAll('#encoding-sequence .sequence-step').length > 0);
+            assert.ok($('roundtrip-status').classList.contains('passed'));
+        });
+
+        it('warns instead of encoding empty input', () => {
+            setValue($('input-text'), '   ');
+            $('encode-btn').click();
+
+            assert.equal($('encoding-result').textContent, '');
+            assert.match($('toast').textContent, /Please enter some text/);
+            assert.ok($('toast').classList.contains('warning'));
+        });
+
+        it('plays the sequence back step by step', () => {
+            setValue($('input-text'), 'the cat');
+            $('encode-btn').click();
+
+            const player = window.uiManager.encodingPlayer;
+            player.pause();
+            player.seek(0);
+            assert.equal(document.querySelectorAll('#encoding-sequence .sequence-step.current').length, 1);
+            assert.equal(document.querySelectorAll('#encoding-sequence .sequence-step.pending').length, player.count - 1);
+
+            player.seek(player.count - 1);
+            assert.equal(document.querySelectorAll('#encoding-stage .stage-token').length, 5);
+        });
+
+        it('opens long sequences paused on the last step', () => {
+            setValue($('input-text'), 'the cat is new '.repeat(10));
+            $('encode-btn').click();
+
+            const player = window.uiManager.encodingPlayer;
+            assert.ok(player.count > 20);
+            assert.equal(player.timer, null);
+            assert.equal(player.index, player.count - 1);
+            assert.equal(document.querySelectorAll('#encoding-stage .stage-token.stage-pending').length, 0);
+        });
+
+        it('keeps the token states right when seeking back and forth', () => {
+            setValue($('input-text'), 'the cat');
+            $('encode-btn').click();
+
+            const player = window.uiManager.encodingPlayer;
+            const emittedBefore = window.uiManager.encodingPlayback.emittedBefore;
+            const shown = () => document.querySelectorAll('#encoding-stage .stage-token:not(.stage-pending)').length;
+            [player.count - 1, 1, player.count - 2, 0].forEach(index => {
+                player.seek(index);
+                assert.equal(shown(), emittedBefore[index + 1], `step ${index}`);
+                assert.equal(document.querySelectorAll('#encoding-sequence .sequence-step.current').length, 1);
+            });
+        });
+
+        it('updates the statistics and token grid while typing', () => {
+            setValue($('input-text'), 'the cat');
+
+            assert.equal($('char-count').textContent, '7');
+            assert.equal($('token-count').textContent, '5');
+            assert.equal(document.querySelectorAll('#token-visualization .token-item').length, 5);
+        });
+    });
+
+    describe('unigram sampling', () => {
+        beforeEach(() => {
+            setValue($('tokenizer-select'), 'unigram', 'change');
+            $('sampling-toggle').checked = true;
+            $('sampling-toggle').dispatchEvent(new window.Event('change'));
+        });
+
+        it('counts the tokens of the segmentation it shows', () => {
+            setValue($('input-text'), 'the cat is new and the dog is old');
+            for (let i = 0; i < 10; i++) {
+                $('resample-btn').click();
+                const shown = document.querySelectorAll('#token-visualization .token-item').length;
+                assert.equal($('token-count').textContent, String(shown));
+            }
+        });
+
+        it('exports the segmentation on screen', () => {
+            const downloads = [];
+            window.uiManager.downloadFile = (filename, content) => downloads.push(content);
+            setValue($('export-format'), 'json', 'change');
+            setValue($('input-text'), 'the cat is new and the dog is old');
+            for (let i = 0; i < 10; i++) {
+                $('resample-btn').click();
+                $('export-btn').click();
+                assert.deepEqual(JSON.parse(downloads[i]), Array.from(window.uiManager.visualizationResult.tokens));
+            }
+        });
+    });
+
+    describe('decoding', () => {
+        it('decodes a token list to text', () => {
+            setValue($('input-tokens'), '2072, 2101, 2108, 2108, 2111');
+            $('decode-btn').click();
+
+            assert.equal($('decoding-result').textContent, 'Hello');
+            assert.equal(document.querySelectorAll('#decoding-sequence .sequence-step').length, 5);
+        });
+
+        it('moves along the token strip while stepping', () => {
+            setValue($('input-tokens'), '2072, 2101, 2108, 2108, 2111');
+            $('decode-btn').click();
+
+            const player = window.uiManager.decodingPlayer;
+            const states = () => Array.from(document.querySelectorAll('#decoding-stage .stage-token'), token =>
+                token.classList.contains('stage-new') ? 'new' : token.classList.contains('stage-pending') ? 'pending' : 'done');
+
+            player.seek(4);
+            player.seek(2);
+            assert.deepEqual(states(), ['done', 'done', 'new', 'pending', 'pending']);
+            assert.equal(document.querySelector('#decoding-stage .stage-text').textContent, 'Hel');
+        });
+
+        it('accepts Python tensor output', () => {
+            setValue($('input-tokens'), 'tensor([[10, 110]])');
+            $('decode-btn').click();
+
+            assert.equal($('decoding-result').textContent, 'theis');
+        });
+
+        it('marks malformed entries and does not decode them', () => {
+            setValue($('input-tokens'), '10, 12abc');
+            $('decode-btn').click();
+
+            assert.equal($('decoding-result').textContent, '');
+            assert.equal($('token-input-errors').classList.contains('hidden'), false);
+            assert.equal(document.querySelector('#token-input-highlights mark.token-error-malformed').textContent, '12abc');
+        });
+
+        it('decodes out-of-range ids as <UNK> and marks them', () => {
+            setValue($('input-tokens'), '10, 99999');
+            $('decode-btn').click();
+
+            assert.equal($('decoding-result').textContent, 'the<UNK>');
+            assert.ok(document.querySelector('#token-input-highlights mark.token-error-range'));
+        });
+    });
+
+    describe('vocabulary', () => {
+        const entries = () => Array.from(document.querySelectorAll('#vocab-display .vocab-item'));
+
+        it('filters entries by the search term', () => {
+            const total = entries().length;
+            setValue($('vocab-search'), 'the');
+
+            const shown = entries();
+            assert.ok(shown.length > 0 && shown.length < total);
+            assert.ok(shown.every(item => item.querySelector('.vocab-char').textContent.includes('the')));
+        });
+
+        it('shows a message when nothing matches', () => {
+            setValue($('vocab-search'), 'zzzz');
+            assert.equal($('vocab-display').textContent.trim(), 'No vocabulary entries found');
+        });
+
+        it('toggles the ASCII byte range', () => {
+            const asciiEntries = () => document.querySelectorAll('#vocab-display .ascii-entry').length;
+            assert.equal(asciiEntries(), 0);
+
+            $('show-ascii-btn').click();
+            assert.ok($('show-ascii-btn').classList.contains('active'));
+            assert.equal(asciiEntries(), 95);
+            assert.match($('show-ascii-btn').textContent, /Hide ASCII Range/);
+
+            $('show-ascii-btn').click();
+            assert.equal(asciiEntries(), 0);
+            assert.match($('show-ascii-btn').textContent, /Show ASCII Range/);
+        });
+
+        it('keeps the search term when toggling the ASCII range', () => {
+            setValue($('vocab-search'), 'a');
+            $('show-ascii-btn').click();
+
+            const ascii = Array.from(document.querySelectorAll('#vocab-display .ascii-entry .vocab-char'));
+            assert.deepEqual(ascii.map(item => item.textContent), ['a']);
+        });
+    });
+
+    describe('copy to clipboard', () => {
+        it('copies the encoding result', async () => {
+            setValue($('input-text'), 'the cat');
+            $('encode-btn').click();
+            document.querySelector('[data-copy="encoding-result"]').click();
+            await flush();
+
+            assert.deepEqual(window.testClipboard, ['[10, 207, 2099, 2097, 2116]']);
+            assert.match($('toast').textContent, /Copied to clipboard/);
+        });
+
+        it('reports when there is nothing to copy', async () => {
+            document.querySelector('[data-copy="decoding-result"]').click();
+            await flush();
+
+            assert.deepEqual(window.testClipboard, []);
+            assert.match($('toast').textContent, /Nothing to copy/);
+        });
+
+        it('reports a failed copy', async () => {
+            window.navigator.clipboard.writeText = async () => { throw new Error('denied'); };
+            setValue($('input-text'), 'the');
+            $('encode-btn').click();
+            document.querySelector('[data-copy="encoding-result"]').click();
+            await flush();
+
+            assert.match($('toast').textContent, /Failed to copy/);
+            assert.ok($('toast').classList.contains('error'));
+        });
+    });
+
+    describe('shared links', () => {
+        it('shows values from a crafted link as text', async () => {
+            const state = { version: 1, tokenizer: 'missing', vocabulary: '<img src=x onerror="window.injected = true">' };
+            window.location.hash = `state=j${Buffer.from(JSON.stringify(state)).toString('base64url')}`;
+            await window.tokenVisualizerApp.restoreSharedState();
+
+            assert.equal($('toast').querySelector('img'), null);
+            assert.match($('toast').textContent, /Tokenizer "<img src=x onerror=\\"window.injected = true\\">" is not loaded here/);
+            assert.equal(window.injected, undefined);
+        });
+    });
+
+    describe('comparison', () => {
+        it('lines up boundaries by input position when encoders change the text', () => {
+            const panel = window.comparisonPanel;
+            panel.selected = new Set(['word', 'unigram']);
+            setValue($('input-text'), 'the  is');
+            panel.update();
+
+            // Unigram drops the double space; its tokens still end where the word lookup's do
+            const differing = Array.from(document.querySelectorAll('#comparison-results .comparison-stats'),
+                stats => stats.children[2].textContent);
+            assert.deepEqual(differing, ['2 differing', '0 differing']);
+        });
+    });
+
+    describe('dataset analysis', () => {
+        it('parses template markers for the count without changing the encode settings', async () => {
+            const panel = window.datasetPanel;
+            await panel.handleFile({ name: 'chat.jsonl', text: async () => '{"messages":[{"role":"user","content":"hi"}]}' });
+            setValue($('input-text'), 'a<PAD>b');
+            await panel.handleAnalyze();
+
+            const rendered = panel.getText(0);
+            const withMarkers = window.eval('tokenizer').withParseSpecialTokens(true, () => window.eval('tokenizerApi').countTokens(rendered));
+            assert.equal(panel.analysis.lengths[0].tokens, withMarkers);
+            assert.equal($('special-tokens-toggle').checked, false);
+            assert.equal($('token-count').textContent, '7');
+        });
+    });
+});
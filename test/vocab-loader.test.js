@@ -0,0 +1,35 @@
+/**
+ * ===== AI TOKEN VISUALIZER - VOCABULARY LOADER TESTS =====
+ *
+ * Unit tests for VocabularyLoader, including:
+ * - WordPiece vocab.txt and tokenizer.json parsing
+ * - Rejecting vocabularies that cannot encode text
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGlobals } = require('./helpers');
+
+describe('VocabularyLoader', () => {
+    const { vocabularyLoader } = loadGlobals(['vocabularyLoader']);
+
+    it('reads a vocab.txt with line numbers as ids', () => {
+        const descriptor = vocabularyLoader.parse({ 'vocab.txt': '[UNK]\nhello\n##s\n' });
+        assert.equal(descriptor.kind, 'wordpiece');
+        assert.deepEqual(Array.from(descriptor.vocab), [['[UNK]', 0], ['hello', 1], ['##s', 2]]);
+    });
+
+    it('rejects an empty vocab.txt', () => {
+        assert.throws(() => vocabularyLoader.parse({ 'vocab.txt': '' }), /vocab\.txt contains no tokens/);
+    });
+
+    it('rejects a WordPiece vocabulary without an unknown token', () => {
+        assert.throws(() => vocabularyLoader.parse({ 'vocab.txt': 'hello\n##s\n' }), /no unknown token/);
+
+        const tokenizerJson = JSON.stringify({ model: { type: 'WordPiece', unk_token: '[UNK]', vocab: { hello: 0 } } });
+        assert.throws(() => vocabularyLoader.parse({ 'tokenizer.json': tokenizerJson }), /no unknown token \(\[UNK\]/);
+    });
+});
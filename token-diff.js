@@ -0,0 +1,144 @@
+/**
+ * ===== AI TOKEN VISUALIZER - TOKEN DIFF MODULE =====
+ *
+ * This module aligns two token sequences, including:
+ * - Myers' O(ND) shortest edit script
+ * - Trimming of the common prefix and suffix before diffing
+ * - Inserted, deleted and unchanged token counts and the net token delta
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class TokenDiff {
+    /**
+     * Diff two token sequences
+     * @param {Array} before - Token IDs of the original text
+     * @param {Array} after - Token IDs of the edited text
+     * @returns {Object} - Operations ({type, token}) in order, with per-type counts and the net delta
+     */
+    diff(before, after) {
+        // Edits usually touch a small region, so only the middle needs the edit search
+        let start = 0;
+        while (start < before.length && start < after.length && before[start] === after[start]) start++;
+
+        let endBefore = before.length;
+        let endAfter = after.length;
+        while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+            endBefore--;
+            endAfter--;
+        }
+
+        const equal = token => ({ type: 'equal', token: token });
+        const operations = [
+            ...before.slice(0, start).map(equal),
+            ...this.shortestEdit(before.slice(start, endBefore), after.slice(start, endAfter)),
+            ...before.slice(endBefore).map(equal)
+        ];
+
+        const counts = { equal: 0, insert: 0, delete: 0 };
+        operations.forEach(operation => counts[operation.type]++);
+
+        return {
+            operations: operations,
+            unchanged: counts.equal,
+            inserted: counts.insert,
+            deleted: counts.delete,
+            delta: after.length - before.length
+        };
+    }
+
+    /**
+     * Find the shortest edit script with Myers' algorithm
+     * Past TokenDiff.MAX_EDITS edits the sequences are treated as entirely replaced
+     * @param {Array} a - Tokens before
+     * @param {Array} b - Tokens after
+     * @returns {Array} - Operations turning a into b
+     */
+    shortestEdit(a, b) {
+        const n = a.length;
+        const m = b.length;
+        const limit = Math.min(n + m, TokenDiff.MAX_EDITS);
+
+        // v[k] is the furthest x reached on diagonal k; trace keeps v before each round
+        const offset = limit + 1;
+        const v = new Int32Array(2 * limit + 3);
+        const trace = [];
+
+        for (let d = 0; d <= limit; d++) {
+            // Only diagonals -d-1 .. d+1 are read while backtracking round d
+            trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+            for (let k = -d; k <= d; k += 2) {
+                const down = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]);
+                let x = down ? v[offset + k + 1] : v[offset + k - 1] + 1;
+                let y = x - k;
+
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+
+                if (x >= n && y >= m) return this.backtrack(trace, a, b);
+            }
+        }
+
+        return [
+            ...a.map(token => ({ type: 'delete', token: token })),
+            ...b.map(token => ({ type: 'insert', token: token }))
+        ];
+    }
+
+    /**
+     * Walk the trace back from the end to recover the edit script
+     * @param {Array} trace - Diagonal snapshots from shortestEdit()
+     * @param {Array} a - Tokens before
+     * @param {Array} b - Tokens after
+     * @returns {Array} - Operations turning a into b
+     */
+    backtrack(trace, a, b) {
+        const operations = [];
+        let x = a.length;
+        let y = b.length;
+
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const v = trace[d];
+            const at = k => v[k + d + 1];
+            const k = x - y;
+
+            const down = k === -d || (k !== d && at(k - 1) < at(k + 1));
+            const previousK = down ? k + 1 : k - 1;
+            const previousX = at(previousK);
+            const previousY = previousX - previousK;
+
+            while (x > previousX && y > previousY) {
+                operations.push({ type: 'equal', token: a[x - 1] });
+                x--;
+                y--;
+            }
+
+            if (d > 0) {
+                if (down) {
+                    operations.push({ type: 'insert', token: b[y - 1] });
+                } else {
+                    operations.push({ type: 'delete', token: a[x - 1] });
+                }
+            }
+
+            x = previousX;
+            y = previousY;
+        }
+
+        return operations.reverse();
+    }
+}
+
+/**
+ * Edit distance beyond which the diff gives up and replaces everything,
+ * bounding the trace to roughly MAX_EDITS² entries
+ */
+TokenDiff.MAX_EDITS = 4000;
+
+// Create global instance
+const tokenDiff = new TokenDiff();
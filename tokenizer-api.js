@@ -0,0 +1,186 @@
+/**
+ * ===== AI TOKEN VISUALIZER - TOKENIZER API MODULE =====
+ *
+ * This module is the stable public API of the tokenizer, including:
+ * - encode, encodeWithOffsets, decode and countTokens
+ * - Detailed encode and decode results with every step, for visualizations
+ * - Parsing pasted token id lists
+ * - Loading, listing and validating vocabularies
+ * - Choosing between the registered tokenizers
+ *
+ * The visualizer uses this API through the global tokenizerApi, and
+ * the library build (npm run build) bundles it with the same source
+ * files for Node scripts and other web apps.
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class TokenizerAPI {
+    /**
+     * @param {TokenVisualizer} engine - Tokenizer to wrap (a new one by default)
+     */
+    constructor(engine = new TokenVisualizer()) {
+        this.engine = engine;
+        this.loader = new VocabularyLoader();
+    }
+
+    /**
+     * Encode text with the active tokenizer
+     * @param {string} text - Input text
+     * @returns {Array} - Token ids
+     */
+    encode(text) {
+        return this.engine.encodeText(this.checkText(text)).tokens;
+    }
+
+    /**
+     * Encode text and report where each token came from
+     * @param {string} text - Input text
+     * @returns {Object} - Token ids and one [start, end) UTF-16 offset pair into the text per token
+     */
+    encodeWithOffsets(text) {
+        const result = this.encodeDetailed(text);
+        return { ids: result.tokens, offsets: result.offsets || [] };
+    }
+
+    /**
+     * Encode text and keep everything the visualizer shows
+     * @param {string} text - Input text
+     * @returns {Object} - Encoding result with tokens, offsets, steps, normalized text, alignments and lattices
+     */
+    encodeDetailed(text) {
+        return this.engine.encodeText(this.checkText(text));
+    }
+
+    /**
+     * Decode token ids with the active tokenizer; unknown ids decode as <UNK>
+     * @param {Array} ids - Token ids
+     * @returns {string} - Decoded text
+     */
+    decode(ids) {
+        return this.decodeDetailed(ids).text;
+    }
+
+    /**
+     * Decode token ids and keep one step per token
+     * @param {Array} ids - Token ids
+     * @returns {Object} - Decoded text and steps
+     */
+    decodeDetailed(ids) {
+        if (!Array.isArray(ids) || !ids.every(Number.isInteger)) {
+            throw new Error('decode() expects an array of integer token ids');
+        }
+        return this.engine.decodeTokens(ids);
+    }
+
+    /**
+     * Count the tokens of a text with the active tokenizer
+     * @param {string} text - Input text
+     * @returns {number} - Token count
+     */
+    countTokens(text) {
+        return this.encode(text).length;
+    }
+
+    /**
+     * Parse token ids written as JSON, comma/space/newline lists, 0x hex or Python/NumPy/PyTorch output
+     * @param {string} input - Token list text
+     * @returns {Object} - Token ids, and errors with start, end, text, kind ('malformed' or 'range') and message
+     */
+    parseTokenIds(input) {
+        const parsed = this.engine.parseTokenInput(this.checkText(input));
+        return { ids: parsed.tokens, errors: parsed.errors };
+    }
+
+    /**
+     * Load a vocabulary from file contents and make it the active tokenizer
+     * Accepts a tokenizer.json, a WordPiece vocab.txt or a vocab.json + merges.txt pair
+     * @param {Object} contents - Map of file name to file text
+     * @returns {Object} - Vocabulary name, kind, size and validation report
+     */
+    loadVocabulary(contents) {
+        return this.install(this.loader.parse(contents));
+    }
+
+    /**
+     * Load a vocabulary from files chosen in a browser and make it the active tokenizer
+     * @param {FileList|Array} files - File objects
+     * @returns {Promise<Object>} - Vocabulary name, kind, size and validation report
+     */
+    async loadVocabularyFiles(files) {
+        return this.install(await this.loader.loadFiles(files));
+    }
+
+    /**
+     * Restore the built-in vocabulary and the word lookup tokenizer
+     */
+    resetVocabulary() {
+        this.engine.resetVocabulary();
+    }
+
+    /**
+     * List the entries of the active vocabulary
+     * @param {string} searchTerm - Only entries containing this text (optional)
+     * @returns {Array} - Entries with token text and id, by id
+     */
+    getVocabulary(searchTerm = '') {
+        return this.engine.getVocabulary(searchTerm).map(entry => ({ token: this.engine.getTokenText(entry.token), id: entry.token }));
+    }
+
+    /**
+     * Check the active vocabulary for id collisions, unreachable ids and range overlaps
+     * @returns {Object} - Validation report with a one-line summary
+     */
+    validateVocabulary() {
+        const report = this.engine.validateVocabulary();
+        return Object.assign({ summary: vocabularyValidator.summarize(report) }, report);
+    }
+
+    /**
+     * List the tokenizers that can be selected
+     * @returns {Array} - Tokenizer names and display labels
+     */
+    listTokenizers() {
+        return this.engine.getEncoders();
+    }
+
+    /**
+     * Select the tokenizer used by every other call
+     * @param {string} name - Name from listTokenizers()
+     */
+    useTokenizer(name) {
+        this.engine.setActiveEncoder(name);
+    }
+
+    /**
+     * Get the name of the selected tokenizer
+     * @returns {string} - Tokenizer name
+     */
+    getTokenizer() {
+        return this.engine.activeEncoderName;
+    }
+
+    /**
+     * Install a parsed vocabulary descriptor
+     * @param {Object} descriptor - Descriptor from the vocabulary loader
+     * @returns {Object} - Vocabulary name, kind, size and validation report
+     */
+    install(descriptor) {
+        const report = this.engine.installVocabulary(descriptor);
+        return { name: descriptor.name, kind: descriptor.kind, size: descriptor.vocab.size, report: report };
+    }
+
+    /**
+     * Reject non-string input before it reaches the encoders
+     * @param {string} text - Input text
+     * @returns {string} - The same text
+     */
+    checkText(text) {
+        if (typeof text !== 'string') throw new Error('Expected text to be a string');
+        return text;
+    }
+}
+
+// Create global instance sharing the visualizer's tokenizer
+const tokenizerApi = new TokenizerAPI(tokenizer);
@@ -4,8 +4,16 @@
  * This module handles the core tokenization logic including:
  * - Text to token encoding with predefined vocabulary
  * - Token to text decoding
- * - ASCII fallback for unknown characters
+ * - UTF-8 byte fallback for unknown characters (including emoji and CJK)
  * - Vocabulary management and search
+ * - Pluggable encoders (byte-level BPE, WordPiece, Unigram) selectable at runtime
+ * - Lossless mode that preserves spaces and casing through round-trips
+ * - A configurable normalizer chain with offsets back to the original text
+ * - [start, end) source offsets for every token
+ * - Literal special token parsing
+ * - Vocabulary validation (id collisions, unreachable ids, range overlaps)
+ * - Configurable pre-tokenization (word/punctuation, GPT-2, cl100k, whitespace, custom regex)
+ * - Installing vocabularies imported from tokenizer files
  * 
  * Author: AI Token Visualizer
  * Version: 1.0.0
@@ -19,6 +27,179 @@ class TokenVisualizer {
         // Track encoding/decoding sequences for visualization
         this.encodingSteps = [];
         this.decodingSteps = [];
+
+        // Lossless mode keeps spaces and encodes casing with <CAP>/<UPPER>
+        this.lossless = true;
+
+        // Special tokens such as <START> stay plain text unless this is on
+        this.parseSpecialTokens = false;
+
+        // Rewrites text before any encoder sees it; every normalizer starts off
+        this.normalizer = new Normalizer();
+
+        // Splits text into segments before word lookup
+        this.preTokenizer = new PreTokenizer();
+
+        // Pluggable encoders; a null encoder means the built-in word lookup
+        this.encoders = new Map();
+        this.encoder = null;
+        this.activeEncoderName = 'word';
+        this.initializeEncoders();
+    }
+
+    /**
+     * Register the encoders that ship with the visualizer
+     */
+    initializeEncoders() {
+        if (typeof BPEEncoder !== 'undefined') {
+            this.registerEncoder('bpe', new BPEEncoder());
+        }
+
+        // WordPiece shares the built-in special token ids (<CLS>, <SEP>, <UNK>)
+        if (typeof WordPieceEncoder !== 'undefined') {
+            this.registerEncoder('wordpiece', WordPieceEncoder.fromBaseVocabulary(this.vocabulary));
+        }
+
+        if (typeof UnigramEncoder !== 'undefined') {
+            this.registerEncoder('unigram', new UnigramEncoder());
+        }
+    }
+
+    /**
+     * Register an encoder under a name
+     * Encoders implement encode(text), decode(tokens), idToToken(id) and getVocabulary(searchTerm)
+     * @param {string} name - Encoder name
+     * @param {Object} encoder - Encoder instance
+     */
+    registerEncoder(name, encoder) {
+        this.encoders.set(name, encoder);
+    }
+
+    /**
+     * Switch the active encoder
+     * @param {string} name - Registered encoder name, or 'word' for word lookup
+     */
+    setActiveEncoder(name) {
+        if (name !== 'word' && !this.encoders.has(name)) {
+            throw new Error(`Unknown encoder: ${name}`);
+        }
+
+        this.activeEncoderName = name;
+        this.encoder = name === 'word' ? null : this.encoders.get(name);
+    }
+
+    /**
+     * Run a callback with another encoder active, then restore the previous one
+     * @param {string} name - Registered encoder name, or 'word'
+     * @param {Function} callback - Work to run with the encoder active
+     * @returns {any} - Callback result
+     */
+    withEncoder(name, callback) {
+        const previous = this.activeEncoderName;
+        this.setActiveEncoder(name);
+
+        try {
+            return callback();
+        } finally {
+            this.setActiveEncoder(previous);
+        }
+    }
+
+    /**
+     * Get the text each token contributes when decoded
+     * Markers and incomplete bytes contribute an empty string
+     * @param {Array} tokens - Array of token IDs
+     * @returns {Array} - Decoded text per token
+     */
+    getDecodedPieces(tokens) {
+        return this.decodeTokens(tokens).steps.map(step => step.output);
+    }
+
+    /**
+     * List available encoders for selection
+     * @returns {Array} - Encoder names and display labels
+     */
+    getEncoders() {
+        const encoders = [{ name: 'word', label: 'Word lookup' }];
+        for (const [name, encoder] of this.encoders.entries()) {
+            encoders.push({ name: name, label: encoder.name || name });
+        }
+        return encoders;
+    }
+
+    /**
+     * Install a vocabulary descriptor produced by the vocabulary loader
+     * and switch to the matching encoder
+     * @param {Object} descriptor - Parsed vocabulary ({kind, name, vocab, ...})
+     * @param {string} slot - Encoder name to register under (default 'imported')
+     * @returns {Object} - Validation report for the installed vocabulary
+     */
+    installVocabulary(descriptor, slot = 'imported') {
+        if (descriptor.kind === 'bpe') {
+            this.registerEncoder(slot, new BPEEncoder({
+                name: `BPE (${descriptor.name})`,
+                vocab: descriptor.vocab,
+                merges: descriptor.merges
+            }));
+            this.setActiveEncoder(slot);
+        } else if (descriptor.kind === 'wordpiece') {
+            this.registerEncoder(slot, new WordPieceEncoder({
+                name: `WordPiece (${descriptor.name})`,
+                vocab: descriptor.vocab,
+                lowercase: descriptor.lowercase,
+                prefix: descriptor.prefix,
+                unkToken: descriptor.unkToken
+            }));
+            this.setActiveEncoder(slot);
+        } else if (descriptor.kind === 'unigram') {
+            this.registerEncoder(slot, new UnigramEncoder({
+                name: `Unigram (${descriptor.name})`,
+                vocab: descriptor.pieces,
+                unkId: descriptor.unkId
+            }));
+            this.setActiveEncoder(slot);
+        } else {
+            throw new Error(`Unknown vocabulary kind: ${descriptor.kind}`);
+        }
+
+        // Check the id table as read from the files, before duplicates collapsed into a Map
+        this.validationReport = this.validateVocabulary(descriptor.entries || Array.from(descriptor.vocab.entries()));
+        return this.validationReport;
+    }
+
+    /**
+     * Check the active vocabulary for id collisions, unreachable ids and range overlaps
+     * @param {Array} entries - [token, id] assignments to check (defaults to both lookup tables)
+     * @returns {Object} - Validation report
+     */
+    validateVocabulary(entries = null) {
+        const vocabulary = this.encoder ? this.encoder.vocabulary : this.vocabulary;
+        const reverseVocabulary = this.encoder ? this.encoder.reverseVocabulary : this.reverseVocabulary;
+
+        // Stale reverse entries show up as a token listed under two ids
+        if (!entries) {
+            entries = Array.from(vocabulary.entries())
+                .concat(Array.from(reverseVocabulary.entries(), ([tokenId, token]) => [token, tokenId]));
+        }
+
+        // Word lookup shares its id space with the byte fallback
+        let ranges = [];
+        if (!this.encoder) {
+            ranges = this.idRanges.slice();
+            ranges.push({ name: 'bytes', start: this.byteOffset, end: this.byteOffset + this.byteTokenCount });
+        }
+
+        return vocabularyValidator.validate({ entries: entries, vocabulary: vocabulary, ranges: ranges });
+    }
+
+    /**
+     * Restore the built-in vocabulary and drop any imported or trained encoder
+     */
+    resetVocabulary() {
+        this.initializeVocabulary();
+        this.encoders.delete('imported');
+        this.encoders.delete('trained');
+        this.setActiveEncoder('word');
     }
 
     /**
@@ -29,123 +210,380 @@ class TokenVisualizer {
         this.vocabulary = new Map();
         this.reverseVocabulary = new Map();
         
-        // Special tokens (0-99)
+        // Special tokens (0-9)
         const specialTokens = [
             '<PAD>', '<UNK>', '<START>', '<END>', '<MASK>',
             '<CLS>', '<SEP>', '<NEWLINE>', '<TAB>', '<SPACE>'
         ];
         
-        // Common words (100-999)
+        // Common words (10-172); each word has one id. The ids are the ones the words
+        // were encoded as before the list was deduplicated, so saved token ids decode the same;
+        // null marks an id that only a removed duplicate used and stays unassigned
         const commonWords = [
-            'the', 'be', 'to', 'of', 'and', 'a', 'in', 'that', 'have', 'i',
-            'it', 'for', 'not', 'on', 'with', 'he', 'as', 'you', 'do', 'at',
-            'this', 'but', 'his', 'by', 'from', 'they', 'we', 'say', 'her', 'she',
-            'or', 'an', 'will', 'my', 'one', 'all', 'would', 'there', 'their',
-            'what', 'so', 'up', 'out', 'if', 'about', 'who', 'get', 'which', 'go',
-            'me', 'when', 'make', 'can', 'like', 'time', 'no', 'just', 'him', 'know',
-            'take', 'people', 'into', 'year', 'your', 'good', 'some', 'could', 'them',
-            'see', 'other', 'than', 'then', 'now', 'look', 'only', 'come', 'its', 'over',
-            'think', 'also', 'back', 'after', 'use', 'two', 'how', 'our', 'work',
-            'first', 'well', 'way', 'even', 'new', 'want', 'because', 'any', 'these',
-            'give', 'day', 'most', 'us', 'is', 'was', 'are', 'been', 'has', 'had',
-            'were', 'said', 'each', 'which', 'their', 'time', 'will', 'about', 'if',
-            'up', 'out', 'many', 'then', 'them', 'these', 'so', 'some', 'her', 'would',
-            'make', 'like', 'into', 'him', 'has', 'two', 'more', 'very', 'what', 'know',
-            'just', 'first', 'get', 'over', 'think', 'where', 'much', 'go', 'well',
-            'were', 'been', 'have', 'had', 'has', 'said', 'each', 'which', 'she',
-            'do', 'how', 'their', 'if', 'will', 'up', 'other', 'about', 'out', 'many'
+            'the', 'be', 'to', 'of', 'and', 'a', 'in', 'that', null, 'i',
+            'it', 'for', 'not', 'on', 'with', 'he', 'as', 'you', null, 'at',
+            'this', 'but', 'his', 'by', 'from', 'they', 'we', 'say', null, null,
+            'or', 'an', null, 'my', 'one', 'all', null, 'there', null, null,
+            null, null, null, null, null, 'who', null, null, null, 'me',
+            'when', null, 'can', null, null, 'no', null, null, null, 'take',
+            'people', null, 'year', 'your', 'good', null, 'could', null, 'see', null,
+            'than', null, 'now', 'look', 'only', 'come', 'its', null, null, 'also',
+            'back', 'after', 'use', null, null, 'our', 'work', null, null, 'way',
+            'even', 'new', 'want', 'because', 'any', null, 'give', 'day', 'most', 'us',
+            'is', 'was', 'are', null, null, null, null, null, null, null,
+            null, 'time', null, null, null, null, null, null, 'then', 'them',
+            'these', 'so', 'some', 'her', 'would', 'make', 'like', 'into', 'him', null,
+            'two', 'more', 'very', 'what', 'know', 'just', 'first', 'get', 'over', 'think',
+            'where', 'much', 'go', 'well', 'were', 'been', 'have', 'had', 'has', 'said',
+            'each', 'which', 'she', 'do', 'how', 'their', 'if', 'will', 'up', 'other',
+            'about', 'out', 'many'
         ];
         
-        // Punctuation and symbols (1000-1099)
+        // Punctuation and symbols (173-207)
         const punctuation = [
             '.', ',', '!', '?', ';', ':', '"', "'", '(', ')', '[', ']', '{', '}',
             '-', '_', '+', '=', '*', '/', '\\', '|', '@', '#', '$', '%', '^', '&',
             '<', '>', '~', '`', '\n', '\t', ' '
         ];
         
-        let tokenId = 0;
-        
-        // Add special tokens
-        specialTokens.forEach(token => {
-            this.vocabulary.set(token, tokenId);
-            this.reverseVocabulary.set(tokenId, token);
-            tokenId++;
-        });
+        // Groups are numbered one after another
+        this.idRanges = [];
+        const addTokens = (name, tokens) => {
+            const start = this.idRanges.length > 0 ? this.idRanges[this.idRanges.length - 1].end : 0;
+            let tokenId = start;
+            tokens.forEach(token => {
+                if (token !== null) {
+                    this.vocabulary.set(token, tokenId);
+                    this.reverseVocabulary.set(tokenId, token);
+                }
+                tokenId++;
+            });
+            this.idRanges.push({ name: name, start: start, end: tokenId });
+        };
+
+        addTokens('special', specialTokens);
+        addTokens('words', commonWords);
+        addTokens('punctuation', punctuation);
+
+        // Lossless case markers (208-209) come after every other token so adding them moved no existing id
+        addTokens('case markers', ['<CAP>', '<UPPER>']);
         
-        // Add common words
-        commonWords.forEach(word => {
-            this.vocabulary.set(word.toLowerCase(), tokenId);
-            this.reverseVocabulary.set(tokenId, word.toLowerCase());
-            tokenId++;
+        // Reserve 256 byte tokens for the UTF-8 fallback (2000-2255)
+        this.byteOffset = 2000;
+        this.byteTokenCount = 256;
+    }
+
+    /**
+     * Encode text with the active encoder
+     * Every token carries a [start, end) offset into the original text
+     * @param {string} text - Input text to encode
+     * @param {Object} options - Encoding options
+     * @param {boolean} options.addSpecialTokens - Let the encoder add its sequence tokens, e.g. [CLS]/[SEP] (default true)
+     * @returns {Object} - Encoding result with tokens, offsets, steps and normalization alignments
+     */
+    encodeText(text, options = {}) {
+        if (!text) return { tokens: [], steps: [] };
+
+        // Special tokens are matched before normalization so lowercasing cannot hide them
+        const parts = this.parseSpecialTokens ? this.splitSpecialTokens(text) : [{ text: text, start: 0 }];
+
+        const tokens = [];
+        const offsets = [];
+        const steps = [];
+        const alignments = [];
+        let normalizedText = '';
+        let lattices = null;
+
+        parts.forEach(part => {
+            if (part.tokenId !== undefined) {
+                tokens.push(part.tokenId);
+                offsets.push([part.start, part.start + part.text.length]);
+                steps.push({
+                    step: steps.length + 1,
+                    input: part.text,
+                    process: `Special token ${part.text} parsed literally`,
+                    output: part.tokenId,
+                    span: [part.start, part.start + part.text.length],
+                    emitted: 1
+                });
+                normalizedText += part.text;
+                for (let i = 0; i < part.text.length; i++) {
+                    alignments.push([part.start + i, part.start + i + 1]);
+                }
+                return;
+            }
+
+            const result = this.encodeChunk(part.text, options);
+            // Push one by one: spreading a long document's tokens overflows the call stack
+            result.tokens.forEach(token => tokens.push(token));
+            result.offsets.forEach(([start, end]) => offsets.push([start + part.start, end + part.start]));
+            result.steps.forEach(step => {
+                const shifted = Object.assign({}, step, { step: steps.length + 1 });
+                if (step.span) shifted.span = [step.span[0] + part.start, step.span[1] + part.start];
+                steps.push(shifted);
+            });
+            normalizedText += result.normalizedText;
+            result.alignments.forEach(([start, end]) => alignments.push([start + part.start, end + part.start]));
+            if (result.lattices) lattices = (lattices || []).concat(result.lattices);
         });
-        
-        // Add punctuation
-        punctuation.forEach(punct => {
-            this.vocabulary.set(punct, tokenId);
-            this.reverseVocabulary.set(tokenId, punct);
-            tokenId++;
+
+        this.encodingSteps = steps;
+
+        const encoded = {
+            tokens: tokens,
+            offsets: offsets,
+            steps: steps,
+            originalText: text,
+            normalizedText: normalizedText,
+            alignments: alignments,
+            tokenCount: tokens.length,
+            characterCount: text.length
+        };
+        if (lattices) encoded.lattices = lattices;
+        return encoded;
+    }
+
+    /**
+     * Normalize a piece of text, then encode it with the active encoder
+     * @param {string} text - Text without literal special tokens
+     * @param {Object} options - Encoding options, as for encodeText()
+     * @returns {Object} - Encoding result with offsets into this text
+     */
+    encodeChunk(text, options = {}) {
+        const normalized = this.normalizer.normalize(text);
+
+        // Literal special tokens replace the ones an encoder would add itself
+        const addSpecialTokens = options.addSpecialTokens !== false && !this.parseSpecialTokens;
+        const result = this.encoder ?
+            this.encoder.encode(normalized.text, { addSpecialTokens: addSpecialTokens }) :
+            this.encodeWords(normalized.text);
+
+        // Offsets point into the normalized text; map them back to the input
+        const offsets = (result.offsets || []).map(([start, end]) =>
+            Normalizer.mapRange(normalized.alignments, start, end)
+        );
+
+        // Encoder step spans point into the normalized text as well
+        const steps = (result.steps || []).map(step => step.span ?
+            Object.assign({}, step, { span: Normalizer.mapRange(normalized.alignments, step.span[0], step.span[1]) }) :
+            step
+        );
+
+        // Normalization steps come first; the encoder's steps follow on
+        return Object.assign({}, result, {
+            offsets: offsets,
+            steps: normalized.steps.concat(steps),
+            normalizedText: normalized.text,
+            alignments: normalized.alignments
         });
-        
-        // Reserve space for ASCII characters (starting from 2000)
-        this.asciiOffset = 2000;
     }
 
     /**
-     * Encode text to tokens using vocabulary with ASCII fallback
-     * @param {string} text - Input text to encode
+     * Get the special tokens of the active vocabulary that can appear literally in input
+     * Case markers are left out: they only make sense in front of a word
+     * @returns {Map} - Special token text to id
+     */
+    getSpecialTokens() {
+        const vocabulary = this.encoder ? this.encoder.vocabulary : this.vocabulary;
+        const specialTokens = new Map();
+
+        for (const [token, tokenId] of vocabulary.entries()) {
+            if (TokenVisualizer.SPECIAL_TOKEN_PATTERN.test(token) && token !== '<CAP>' && token !== '<UPPER>') {
+                specialTokens.set(token, tokenId);
+            }
+        }
+
+        return specialTokens;
+    }
+
+    /**
+     * Split text around literal special tokens
+     * @param {string} text - Input text
+     * @returns {Array} - Parts with text and start offset; special parts also carry their tokenId
+     */
+    splitSpecialTokens(text) {
+        const specialTokens = this.getSpecialTokens();
+        if (specialTokens.size === 0) return [{ text: text, start: 0 }];
+
+        // Longest first so "<|im_start|>" wins over any shorter token it contains
+        const alternatives = Array.from(specialTokens.keys())
+            .sort((a, b) => b.length - a.length)
+            .map(token => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(alternatives.join('|'), 'g');
+
+        const parts = [];
+        let position = 0;
+        for (const match of text.matchAll(pattern)) {
+            if (match.index > position) parts.push({ text: text.slice(position, match.index), start: position });
+            parts.push({ text: match[0], start: match.index, tokenId: specialTokens.get(match[0]) });
+            position = match.index + match[0].length;
+        }
+        if (position < text.length) parts.push({ text: text.slice(position), start: position });
+
+        return parts;
+    }
+
+    /**
+     * Enable or disable parsing special tokens written literally in the input
+     * @param {boolean} enabled - Whether to match special tokens such as <START>
+     */
+    setParseSpecialTokens(enabled) {
+        this.parseSpecialTokens = enabled;
+    }
+
+    /**
+     * Run a callback with special token parsing switched on or off, then restore the previous setting
+     * @param {boolean} enabled - Whether to match special tokens while the callback runs
+     * @param {Function} callback - Work to run with the setting applied
+     * @returns {any} - Callback result
+     */
+    withParseSpecialTokens(enabled, callback) {
+        const previous = this.parseSpecialTokens;
+        this.setParseSpecialTokens(enabled);
+
+        try {
+            return callback();
+        } finally {
+            this.setParseSpecialTokens(previous);
+        }
+    }
+
+    /**
+     * Encode text to tokens using vocabulary with UTF-8 byte fallback
+     * @param {string} text - Normalized text to encode
      * @returns {Object} - Encoding result with tokens and steps
      */
-    encodeText(text) {
+    encodeWords(text) {
         if (!text) return { tokens: [], steps: [] };
         
-        this.encodingSteps = [];
         const tokens = [];
-        const words = this.tokenizeWords(text);
+        const offsets = [];
+        const segments = this.preTokenizer.split(text);
+        const steps = [this.preTokenizer.createStep(text, segments)];
+        const words = this.tokenizeWords(segments);
         
-        words.forEach((word, index) => {
+        words.forEach(({ text: word, start, end }) => {
+            // Plain spaces are only encoded in lossless mode
+            if (word === ' ' && !this.lossless) return;
+
             const step = {
-                step: index + 1,
+                step: steps.length + 1,
                 input: word,
                 process: '',
-                output: null
+                output: null,
+                span: [start, end]
             };
             
+            const caseMarker = this.lossless ? this.getCaseMarker(word) : null;
+
             // Check if word exists in vocabulary
-            if (this.vocabulary.has(word.toLowerCase())) {
-                const tokenId = this.vocabulary.get(word.toLowerCase());
+            if (this.lossless && this.vocabulary.has(word)) {
+                const tokenId = this.vocabulary.get(word);
                 tokens.push(tokenId);
+                offsets.push([start, end]);
                 step.process = `Found "${word}" in vocabulary`;
                 step.output = tokenId;
+            } else if (caseMarker && this.vocabulary.has(caseMarker) && this.vocabulary.has(word.toLowerCase())) {
+                // Known word with recoverable casing: emit a case marker first
+                const markerId = this.vocabulary.get(caseMarker);
+                const tokenId = this.vocabulary.get(word.toLowerCase());
+                tokens.push(markerId, tokenId);
+                offsets.push([start, end], [start, end]);
+                step.process = `Found "${word.toLowerCase()}" in vocabulary, casing encoded with ${caseMarker}`;
+                step.output = [markerId, tokenId];
+            } else if (!this.lossless && this.vocabulary.has(word.toLowerCase())) {
+                // Lossy mode matches case-insensitively
+                const tokenId = this.vocabulary.get(word.toLowerCase());
+                tokens.push(tokenId);
+                offsets.push([start, end]);
+                step.process = word === word.toLowerCase() ?
+                    `Found "${word}" in vocabulary` :
+                    `Found "${word.toLowerCase()}" in vocabulary (case-insensitive match, casing lost)`;
+                step.output = tokenId;
             } else {
-                // Use ASCII encoding for unknown words/characters
-                const asciiTokens = this.encodeToAscii(word);
-                tokens.push(...asciiTokens);
-                step.process = `"${word}" not in vocabulary, using ASCII encoding`;
-                step.output = asciiTokens;
+                // Use UTF-8 byte encoding for unknown words/characters
+                const byteTokens = this.encodeToBytes(word);
+                byteTokens.forEach(token => tokens.push(token));
+                Normalizer.mapBytes(word, start).forEach(offset => offsets.push(offset));
+                step.process = `"${word}" not in vocabulary, using UTF-8 byte fallback`;
+                step.output = byteTokens;
             }
-            
-            this.encodingSteps.push(step);
+
+            step.emitted = Array.isArray(step.output) ? step.output.length : 1;
+            steps.push(step);
         });
         
         return {
             tokens: tokens,
-            steps: this.encodingSteps,
+            offsets: offsets,
+            steps: steps,
             originalText: text,
             tokenCount: tokens.length,
             characterCount: text.length
         };
     }
 
+    /**
+     * Parse a pasted list of token ids
+     * Accepts JSON arrays, comma/space/newline-separated ids, 0x hex ids and Python
+     * list, tuple, array(...) or tensor(...) output; dtype= style arguments are ignored
+     * @param {string} input - Token list text
+     * @returns {Object} - Token ids, and errors with start, end, text, kind ('malformed' or 'range') and message
+     */
+    parseTokenInput(input) {
+        const tokens = [];
+        const errors = [];
+
+        for (const match of input.matchAll(TokenVisualizer.TOKEN_INPUT_PATTERN)) {
+            // Wrapper calls like tensor( and keyword arguments like dtype=int32
+            if (match[1] || match[2]) continue;
+
+            const text = match[0];
+            const error = { start: match.index, end: match.index + text.length, text: text };
+
+            if (!/^[+-]?(\d+|0x[0-9a-f]+)$/i.test(text)) {
+                errors.push({ ...error, kind: 'malformed', message: `"${text}" is not a token id` });
+                continue;
+            }
+
+            const sign = text.startsWith('-') ? -1 : 1;
+            const digits = text.replace(/^[+-]/, '');
+            const token = sign * (/^0x/i.test(digits) ? parseInt(digits.slice(2), 16) : Number(digits));
+
+            if (!Number.isSafeInteger(token) || !this.hasToken(token)) {
+                errors.push({ ...error, kind: 'range', message: `${text} is not in the active vocabulary` });
+            }
+            tokens.push(token);
+        }
+
+        return { tokens: tokens, errors: errors };
+    }
+
+    /**
+     * Check whether a token id exists in the active vocabulary
+     * @param {number} token - Token ID
+     * @returns {boolean} - True when the active tokenizer can decode the id
+     */
+    hasToken(token) {
+        if (this.encoder) return this.encoder.reverseVocabulary.has(token);
+        return this.reverseVocabulary.has(token) || this.isByteToken(token);
+    }
+
     /**
      * Decode tokens back to text
      * @param {Array} tokens - Array of token IDs
      * @returns {Object} - Decoding result with text and steps
      */
     decodeTokens(tokens) {
+        if (this.encoder) return this.encoder.decode(tokens);
         if (!tokens || tokens.length === 0) return { text: '', steps: [] };
         
         this.decodingSteps = [];
         let decodedText = '';
+        let pendingCase = null;
+
+        // Byte tokens are streamed so multi-byte characters decode once complete
+        const byteDecoder = new TextDecoder('utf-8');
         
         tokens.forEach((token, index) => {
             const step = {
@@ -155,18 +593,36 @@ class TokenVisualizer {
                 output: ''
             };
             
-            if (this.reverseVocabulary.has(token)) {
+            const vocabText = this.reverseVocabulary.get(token);
+
+            if (!this.isByteToken(token)) {
+                // Flush any incomplete byte sequence before non-byte tokens
+                decodedText += byteDecoder.decode();
+            }
+
+            if (vocabText === '<CAP>' || vocabText === '<UPPER>') {
+                // Case marker applies to the next vocabulary token
+                pendingCase = vocabText;
+                step.process = `Token ${token} is ${vocabText}, applies to next token`;
+                step.output = '';
+            } else if (this.reverseVocabulary.has(token)) {
                 // Token found in vocabulary
-                const text = this.reverseVocabulary.get(token);
+                const text = this.applyCase(vocabText, pendingCase);
                 decodedText += text;
-                step.process = `Token ${token} found in vocabulary`;
+                step.process = pendingCase ?
+                    `Token ${token} found in vocabulary, ${pendingCase} applied` :
+                    `Token ${token} found in vocabulary`;
+                step.output = text;
+                pendingCase = null;
+            } else if (this.isByteToken(token)) {
+                // UTF-8 byte, emitted once its character is complete
+                const byte = token - this.byteOffset;
+                const text = byteDecoder.decode(new Uint8Array([byte]), { stream: true });
+                decodedText += text;
+                step.process = text ?
+                    `Token ${token} is byte ${this.formatByte(byte)}, completes "${text}"` :
+                    `Token ${token} is byte ${this.formatByte(byte)}, waiting for more bytes`;
                 step.output = text;
-            } else if (token >= this.asciiOffset) {
-                // ASCII encoded character
-                const asciiChar = String.fromCharCode(token - this.asciiOffset);
-                decodedText += asciiChar;
-                step.process = `Token ${token} decoded from ASCII`;
-                step.output = asciiChar;
             } else {
                 // Unknown token
                 const unknownText = '<UNK>';
@@ -177,6 +633,8 @@ class TokenVisualizer {
             
             this.decodingSteps.push(step);
         });
+
+        decodedText += byteDecoder.decode();
         
         return {
             text: decodedText,
@@ -186,49 +644,209 @@ class TokenVisualizer {
     }
 
     /**
-     * Tokenize text into words and punctuation
+     * Turn pre-token segments into lookup units
+     * Whitespace around a segment (e.g. GPT-2's leading space) is looked up one character at a time
+     * @param {Array} segments - Segments from the pre-tokenizer
+     * @returns {Array} - Words, punctuation and whitespace characters with their offsets
+     */
+    tokenizeWords(segments) {
+        const words = [];
+
+        segments.forEach(segment => {
+            const [, leading, core, trailing] = segment.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+            let position = segment.start;
+            const add = text => {
+                words.push({ text: text, start: position, end: position + text.length });
+                position += text.length;
+            };
+
+            Array.from(leading).forEach(add);
+            if (core) add(core);
+            Array.from(trailing).forEach(add);
+        });
+
+        return words;
+    }
+
+    /**
+     * Get the pre-tokenizer of the active encoder
+     * @returns {PreTokenizer|null} - Pre-tokenizer, or null when the encoder splits text itself
+     */
+    getPreTokenizer() {
+        return this.encoder ? this.encoder.preTokenizer || null : this.preTokenizer;
+    }
+
+    /**
+     * Count the tokens the active encoder adds around a whole sequence, such as [CLS] and [SEP]
+     * @returns {number} - Number of added special tokens
+     */
+    countAddedSpecialTokens() {
+        if (!this.encoder || this.parseSpecialTokens) return 0;
+        return this.encoder.encode(' ').tokens.length - this.encoder.encode(' ', { addSpecialTokens: false }).tokens.length;
+    }
+
+    /**
+     * Find the offsets where text can be cut so that encoding the pieces gives the same tokens as the whole
+     * These are pre-token starts of the normalized text, or word starts for encoders that split text themselves.
+     * The last two pre-tokens are left out, as text after the end could still extend or merge them.
      * @param {string} text - Input text
-     * @returns {Array} - Array of tokens (words/punctuation)
+     * @returns {Array} - Cut offsets into the text, ascending
      */
-    tokenizeWords(text) {
-        // Simple tokenization: split by spaces and separate punctuation
-        const tokens = [];
-        let currentToken = '';
-        
-        for (let i = 0; i < text.length; i++) {
-            const char = text[i];
-            
-            if (/\s/.test(char)) {
-                // Whitespace
-                if (currentToken) {
-                    tokens.push(currentToken);
-                    currentToken = '';
-                }
-                if (char !== ' ') tokens.push(char); // Keep tabs, newlines
-            } else if (/[.,!?;:"'()\[\]{}\-_+=*\/\\|@#$%^&<>~`]/.test(char)) {
-                // Punctuation
-                if (currentToken) {
-                    tokens.push(currentToken);
-                    currentToken = '';
+    findSplitPoints(text) {
+        const parts = this.parseSpecialTokens ? this.splitSpecialTokens(text) : [{ text: text, start: 0 }];
+        const preTokenizer = this.getPreTokenizer();
+        const points = [];
+
+        parts.forEach(part => {
+            if (part.start > 0) points.push(part.start);
+            if (part.tokenId !== undefined) return;
+
+            const normalized = this.normalizer.normalize(part.text);
+            const starts = preTokenizer ?
+                preTokenizer.split(normalized.text).map(segment => segment.start) :
+                Array.from(normalized.text.matchAll(/(?<=\s)\S/gu), match => match.index);
+
+            // Only cut between normalized characters that come from separate input characters
+            const alignments = normalized.alignments;
+            starts.forEach(start => {
+                if (start > 0 && alignments[start - 1][1] <= alignments[start][0]) {
+                    points.push(part.start + alignments[start][0]);
                 }
-                tokens.push(char);
-            } else {
-                // Regular character
-                currentToken += char;
+            });
+        });
+
+        return points.slice(0, -2);
+    }
+
+    /**
+     * Change how the active encoder splits text before lookup
+     * @param {string} mode - 'basic', 'gpt2', 'cl100k', 'whitespace' or 'custom'
+     * @param {string} pattern - Regular expression source for custom mode
+     */
+    setPreTokenizer(mode, pattern) {
+        const preTokenizer = this.getPreTokenizer();
+        if (!preTokenizer) {
+            throw new Error(`${this.encoder.name} does not support a configurable pre-tokenizer`);
+        }
+        preTokenizer.setMode(mode, pattern);
+    }
+
+    /**
+     * Work out which case marker restores a word from its lowercase form
+     * @param {string} word - Word as it appears in the input
+     * @returns {string|null} - '<CAP>', '<UPPER>' or null when no marker fits
+     */
+    getCaseMarker(word) {
+        const lower = word.toLowerCase();
+        if (word === lower) return null;
+        if (word === lower.toUpperCase() && word.length > 1) return '<UPPER>';
+        if (word === this.applyCase(lower, '<CAP>')) return '<CAP>';
+        return null;
+    }
+
+    /**
+     * Apply a case marker to vocabulary text
+     * @param {string} text - Lowercase vocabulary text
+     * @param {string|null} marker - '<CAP>', '<UPPER>' or null
+     * @returns {string} - Cased text
+     */
+    applyCase(text, marker) {
+        if (marker === '<UPPER>') return text.toUpperCase();
+        if (marker === '<CAP>') return text.charAt(0).toUpperCase() + text.slice(1);
+        return text;
+    }
+
+    /**
+     * Enable or disable lossless mode for the word lookup encoder
+     * @param {boolean} enabled - Whether to preserve spaces and casing
+     */
+    setLossless(enabled) {
+        this.lossless = enabled;
+    }
+
+    /**
+     * Configure the normalizer chain that runs before every encoder
+     * @param {Object} options - Unicode form, lowercase, stripAccents and collapseWhitespace settings
+     */
+    setNormalizer(options) {
+        this.normalizer.configure(options);
+    }
+
+    /**
+     * Encode then decode text and compare with the original
+     * @param {string} text - Input text
+     * @returns {Object} - Round-trip result with the first mismatch position
+     */
+    verifyRoundTrip(text) {
+        const encoded = this.encodeText(text);
+        const decoded = this.decodeTokens(encoded.tokens).text;
+
+        let mismatchIndex = -1;
+        if (decoded !== text) {
+            mismatchIndex = 0;
+            while (mismatchIndex < text.length && text[mismatchIndex] === decoded[mismatchIndex]) {
+                mismatchIndex++;
             }
         }
-        
-        if (currentToken) tokens.push(currentToken);
-        return tokens;
+
+        return {
+            passed: mismatchIndex === -1,
+            originalText: text,
+            decodedText: decoded,
+            mismatchIndex: mismatchIndex
+        };
     }
 
     /**
-     * Encode word to ASCII tokens
+     * Encode word to UTF-8 byte tokens
      * @param {string} word - Word to encode
-     * @returns {Array} - Array of ASCII token IDs
+     * @returns {Array} - Array of byte token IDs
+     */
+    encodeToBytes(word) {
+        return Array.from(new TextEncoder().encode(word)).map(byte => byte + this.byteOffset);
+    }
+
+    /**
+     * Check whether a token is a UTF-8 fallback byte
+     * @param {number} token - Token ID
+     * @returns {boolean} - True for byte tokens
+     */
+    isByteToken(token) {
+        return token >= this.byteOffset && token < this.byteOffset + this.byteTokenCount;
+    }
+
+    /**
+     * Check whether the active tokenizer fell back on a token because the
+     * vocabulary had no entry: byte tokens for word lookup, the unknown token otherwise
+     * @param {number} token - Token ID
+     * @returns {boolean} - True for fallback tokens
+     */
+    isFallbackToken(token) {
+        return this.encoder ? this.encoder.isUnknownToken(token) : this.isByteToken(token);
+    }
+
+    /**
+     * Classify a token for display and export
+     * @param {number} token - Token ID
+     * @returns {string} - 'special', 'byte', 'unknown', 'word', 'punctuation', 'whitespace' or 'piece'
+     */
+    getTokenType(token) {
+        if (this.isFallbackToken(token)) return this.encoder ? 'unknown' : 'byte';
+
+        const text = this.getTokenText(token);
+        if (TokenVisualizer.SPECIAL_TOKEN_PATTERN.test(text)) return 'special';
+        if (this.encoder) return 'piece';
+        if (/^\s+$/.test(text)) return 'whitespace';
+        return /^[\p{L}\p{N}]/u.test(text) ? 'word' : 'punctuation';
+    }
+
+    /**
+     * Format a byte value as hex, e.g. 0xE2
+     * @param {number} byte - Byte value
+     * @returns {string} - Hex representation
      */
-    encodeToAscii(word) {
-        return Array.from(word).map(char => char.charCodeAt(0) + this.asciiOffset);
+    formatByte(byte) {
+        return `0x${byte.toString(16).toUpperCase().padStart(2, '0')}`;
     }
 
     /**
@@ -238,6 +856,8 @@ class TokenVisualizer {
      * @returns {Array} - Vocabulary entries
      */
     getVocabulary(searchTerm = '', includeAscii = false) {
+        if (this.encoder) return this.encoder.getVocabulary(searchTerm);
+
         const vocab = [];
         
         // Add predefined vocabulary
@@ -255,7 +875,7 @@ class TokenVisualizer {
         if (includeAscii) {
             for (let i = 32; i <= 126; i++) { // Printable ASCII
                 const char = String.fromCharCode(i);
-                const tokenId = i + this.asciiOffset;
+                const tokenId = i + this.byteOffset;
                 
                 if (!searchTerm || char.includes(searchTerm) || tokenId.toString().includes(searchTerm)) {
                     vocab.push({
@@ -270,13 +890,94 @@ class TokenVisualizer {
         return vocab.sort((a, b) => a.token - b.token);
     }
 
+    /**
+     * Get the display text of a single token
+     * @param {number} token - Token ID
+     * @returns {string} - Token text
+     */
+    getTokenText(token) {
+        if (this.encoder) return this.encoder.idToToken(token);
+
+        if (this.reverseVocabulary.has(token)) return this.reverseVocabulary.get(token);
+        if (!this.isByteToken(token)) return '<UNK>';
+
+        // Printable ASCII bytes read as themselves, the rest as hex
+        const byte = token - this.byteOffset;
+        return byte >= 32 && byte <= 126 ? String.fromCharCode(byte) : `<${this.formatByte(byte)}>`;
+    }
+
+    /**
+     * Get the raw UTF-8 bytes a token stands for
+     * @param {number} token - Token ID
+     * @returns {Array} - Byte values
+     */
+    getTokenBytes(token) {
+        if (this.encoder) {
+            return this.encoder.idToBytes ?
+                this.encoder.idToBytes(token) :
+                Array.from(new TextEncoder().encode(this.encoder.idToToken(token)));
+        }
+
+        if (this.isByteToken(token)) return [token - this.byteOffset];
+        return Array.from(new TextEncoder().encode(this.getTokenText(token)));
+    }
+
+    /**
+     * Group tokens so that byte tokens of one multi-byte character stay together
+     * @param {Array} tokens - Array of token IDs
+     * @returns {Array} - Groups with their tokens and decoded text
+     */
+    groupTokens(tokens) {
+        const groups = [];
+        let current = null;
+
+        tokens.forEach(token => {
+            if (!current) current = { tokens: [], bytes: [] };
+            current.tokens.push(token);
+            current.bytes.push(...this.getTokenBytes(token));
+
+            if (!this.hasIncompleteUtf8(current.bytes)) {
+                groups.push(current);
+                current = null;
+            }
+        });
+
+        // Trailing bytes that never completed a character
+        if (current) groups.push(current);
+
+        return groups.map(group => ({
+            tokens: group.tokens,
+            text: new TextDecoder('utf-8').decode(new Uint8Array(group.bytes))
+        }));
+    }
+
+    /**
+     * Check whether a byte sequence ends in the middle of a UTF-8 character
+     * @param {Array} bytes - Byte values
+     * @returns {boolean} - True when more continuation bytes are expected
+     */
+    hasIncompleteUtf8(bytes) {
+        // Walk back over continuation bytes (10xxxxxx) to the lead byte
+        let continuation = 0;
+        let i = bytes.length - 1;
+        while (i >= 0 && continuation < 3 && (bytes[i] & 0xC0) === 0x80) {
+            continuation++;
+            i--;
+        }
+        if (i < 0) return false;
+
+        const lead = bytes[i];
+        const expected = lead >= 0xF0 ? 3 : lead >= 0xE0 ? 2 : lead >= 0xC0 ? 1 : 0;
+        return continuation < expected;
+    }
+
     /**
      * Get encoding statistics
      * @param {string} text - Input text
+     * @param {Object} encoded - Encoding of the text to reuse; encoded afresh when omitted
      * @returns {Object} - Statistics object
      */
-    getEncodingStats(text) {
-        const encoded = this.encodeText(text);
+    getEncodingStats(text, encoded = this.encodeText(text)) {
         const compressionRatio = text.length > 0 ? 
             ((text.length - encoded.tokens.length) / text.length * 100).toFixed(1) : 0;
         
@@ -287,7 +988,57 @@ class TokenVisualizer {
             tokens: encoded.tokens
         };
     }
+
+    /**
+     * Work out which tokens a context limit would drop
+     * Every strategy removes one contiguous run of tokens
+     * @param {Array} tokens - Token IDs
+     * @param {number} limit - Maximum number of tokens to keep
+     * @param {string} strategy - 'head' keeps the start, 'tail' keeps the end, 'middle' keeps both ends
+     * @returns {Object} - Kept head and tail tokens and the [removedStart, removedEnd) token indices
+     */
+    truncateTokens(tokens, limit, strategy = 'head') {
+        if (!TokenVisualizer.TRUNCATION_STRATEGIES[strategy]) {
+            throw new Error(`Unknown truncation strategy: ${strategy}`);
+        }
+
+        const keep = Math.max(0, Math.min(Math.floor(limit), tokens.length));
+        let headCount = keep;
+        if (strategy === 'tail') headCount = 0;
+        if (strategy === 'middle') headCount = Math.ceil(keep / 2);
+
+        const removedStart = headCount;
+        const removedEnd = tokens.length - (keep - headCount);
+
+        return {
+            head: tokens.slice(0, removedStart),
+            tail: tokens.slice(removedEnd),
+            removedStart: removedStart,
+            removedEnd: removedEnd,
+            removedCount: removedEnd - removedStart
+        };
+    }
 }
 
+/**
+ * Truncation strategies and their display names
+ */
+TokenVisualizer.TRUNCATION_STRATEGIES = {
+    head: 'Keep head (cut the end)',
+    tail: 'Keep tail (cut the start)',
+    middle: 'Keep both ends (cut the middle)'
+};
+
+/**
+ * Vocabulary entries treated as special tokens: <START>, </s>, <|endoftext|>, [CLS]
+ */
+TokenVisualizer.SPECIAL_TOKEN_PATTERN = /^(<\|[^|\s]+\|>|<\/?[A-Za-z][\w-]*>|\[[A-Z][A-Z_]*\])$/;
+
+/**
+ * Entries of a pasted token list: a wrapper call such as tensor( (group 1),
+ * a keyword argument such as dtype=int32 (group 2), or a candidate id
+ */
+TokenVisualizer.TOKEN_INPUT_PATTERN = /([A-Za-z_][\w.]*)\s*\(|([A-Za-z_]\w*)\s*=\s*[^,;()\[\]\s]*|[^\s,;()\[\]]+/g;
+
 // Create global instance
 const tokenizer = new TokenVisualizer();
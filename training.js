@@ -0,0 +1,257 @@
+/**
+ * ===== AI TOKEN VISUALIZER - TRAINING MODULE =====
+ *
+ * This module drives BPE training from the "Train" tab, including:
+ * - Corpus input from pasted text or uploaded files
+ * - Training in a Web Worker, with a main-thread fallback
+ * - A live merge log (pair, frequency, new token id)
+ * - Installing the trained vocabulary as the active tokenizer
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class TrainingPanel {
+    /**
+     * @param {UIManager} ui - UI manager used for toasts and tokenizer refresh
+     */
+    constructor(ui) {
+        this.ui = ui;
+        this.worker = null;
+        this.fallbackTimeout = null;
+        this.maxLogRows = 1000;
+
+        this.elements = {
+            corpus: document.getElementById('train-corpus'),
+            fileInput: document.getElementById('train-file-input'),
+            vocabSize: document.getElementById('train-vocab-size'),
+            trainBtn: document.getElementById('train-btn'),
+            cancelBtn: document.getElementById('cancel-train-btn'),
+            progress: document.getElementById('train-progress'),
+            progressBar: document.getElementById('train-progress-bar'),
+            status: document.getElementById('train-status'),
+            log: document.getElementById('merge-log')
+        };
+
+        this.elements.fileInput.addEventListener('change', () => this.handleCorpusUpload());
+        this.elements.trainBtn.addEventListener('click', () => this.handleTrain());
+        this.elements.cancelBtn.addEventListener('click', () => this.handleCancel());
+    }
+
+    /**
+     * Load uploaded files into the corpus box
+     */
+    async handleCorpusUpload() {
+        const files = Array.from(this.elements.fileInput.files || []);
+        if (files.length === 0) return;
+
+        try {
+            const texts = await Promise.all(files.map(file => file.text()));
+            this.elements.corpus.value = texts.join('\n');
+            const size = (this.elements.corpus.value.length / 1024).toFixed(1);
+            this.ui.showToast(`Loaded ${files.length} file(s), ${size} KB of text`, 'success');
+        } catch (error) {
+            this.ui.showToast(`Error: ${error.message}`, 'error');
+        } finally {
+            this.elements.fileInput.value = '';
+        }
+    }
+
+    /**
+     * Validate the inputs and start training
+     */
+    handleTrain() {
+        const corpus = this.elements.corpus.value;
+        const vocabSize = parseInt(this.elements.vocabSize.value, 10);
+
+        if (!corpus.trim()) {
+            this.ui.showToast('Please enter or upload a training corpus', 'warning');
+            return;
+        }
+        if (isNaN(vocabSize) || vocabSize <= 256) {
+            this.ui.showToast('Vocabulary size must be greater than 256 (the byte alphabet)', 'warning');
+            return;
+        }
+
+        this.targetMerges = vocabSize - 256;
+        this.mergeCount = 0;
+        this.elements.log.innerHTML = '';
+        this.setRunning(true);
+        this.updateProgress();
+
+        try {
+            this.startWorker(corpus, vocabSize);
+        } catch (error) {
+            // Workers are blocked on file:// pages in some browsers
+            this.startFallback(corpus, vocabSize);
+        }
+    }
+
+    /**
+     * Train in a Web Worker so the page stays responsive
+     * @param {string} corpus - Training text
+     * @param {number} vocabSize - Target vocabulary size
+     */
+    startWorker(corpus, vocabSize) {
+        this.worker = new Worker('bpe-trainer.js');
+
+        this.worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'start') {
+                this.elements.status.textContent = `Training on ${message.words} unique words (Web Worker)...`;
+            } else if (message.type === 'merges') {
+                message.merges.forEach(merge => this.logMerge(merge));
+                this.updateProgress();
+            } else if (message.type === 'done') {
+                this.finish(message.result);
+            }
+        };
+
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.stopWorker();
+
+            // The worker script could not load: train here instead
+            if (this.mergeCount === 0) {
+                this.startFallback(corpus, vocabSize);
+                return;
+            }
+
+            this.setRunning(false);
+            this.ui.showToast(`Training failed: ${event.message}`, 'error');
+        };
+
+        this.worker.postMessage({ corpus, vocabSize });
+    }
+
+    /**
+     * Train on the main thread in small chunks when workers are unavailable
+     * @param {string} corpus - Training text
+     * @param {number} vocabSize - Target vocabulary size
+     */
+    startFallback(corpus, vocabSize) {
+        const trainer = new BPETrainer();
+        trainer.prepare(corpus, vocabSize);
+        this.elements.status.textContent = `Training on ${trainer.words.length} unique words (main thread)...`;
+
+        const runChunk = () => {
+            const deadline = Date.now() + 30;
+            let merge = null;
+
+            while (Date.now() < deadline && (merge = trainer.nextMerge())) {
+                this.logMerge(merge);
+            }
+            this.updateProgress();
+
+            if (merge) {
+                this.fallbackTimeout = setTimeout(runChunk, 0);
+            } else {
+                this.fallbackTimeout = null;
+                this.finish(trainer.getResult());
+            }
+        };
+
+        this.fallbackTimeout = setTimeout(runChunk, 0);
+    }
+
+    /**
+     * Stop a running training job
+     */
+    handleCancel() {
+        this.stopWorker();
+        clearTimeout(this.fallbackTimeout);
+        this.fallbackTimeout = null;
+
+        this.setRunning(false);
+        this.elements.status.textContent = `Cancelled after ${this.mergeCount} merges`;
+        this.ui.showToast('Training cancelled', 'warning');
+    }
+
+    /**
+     * Terminate the worker if one is running
+     */
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Append one merge to the merge log
+     * @param {Object} merge - Merge details from the trainer
+     */
+    logMerge(merge) {
+        this.mergeCount++;
+        if (this.mergeCount > this.maxLogRows) return;
+
+        const [left, right] = merge.pair.map(piece => this.ui.escapeHtml(piece));
+        const row = document.createElement('div');
+        row.className = 'sequence-step';
+        row.innerHTML = `
+            <span class="step-number">#${merge.rank}</span>
+            <span class="step-input">"${left}" + "${right}"</span>
+            <span class="step-process">frequency ${merge.frequency}</span>
+            <span class="step-arrow">→</span>
+            <span class="step-output">"${left}${right}" = ${merge.tokenId}</span>
+        `;
+        this.elements.log.appendChild(row);
+
+        if (this.mergeCount === this.maxLogRows) {
+            const note = document.createElement('div');
+            note.className = 'no-results';
+            note.textContent = `Merge log shows the first ${this.maxLogRows} merges`;
+            this.elements.log.appendChild(note);
+        }
+    }
+
+    /**
+     * Update the progress bar and status line
+     */
+    updateProgress() {
+        const percent = Math.min(100, this.mergeCount / this.targetMerges * 100);
+        this.elements.progressBar.style.width = `${percent}%`;
+        this.elements.progress.textContent = `${this.mergeCount} / ${this.targetMerges} merges`;
+    }
+
+    /**
+     * Install the trained vocabulary as the active tokenizer
+     * @param {Object} result - Learned vocabulary and merges
+     */
+    finish(result) {
+        this.stopWorker();
+        this.setRunning(false);
+
+        const vocabSize = Object.keys(result.vocab).length;
+        tokenizer.installVocabulary({
+            kind: 'bpe',
+            name: `trained, ${vocabSize} tokens`,
+            vocab: new Map(Object.entries(result.vocab)),
+            merges: result.merges
+        }, 'trained');
+        this.ui.refreshTokenizers();
+
+        const stoppedEarly = result.merges.length < this.targetMerges;
+        this.elements.status.textContent = stoppedEarly ?
+            `Done: corpus ran out of pairs after ${result.merges.length} merges` :
+            `Done: learned ${result.merges.length} merges`;
+        this.ui.showToast(`Trained BPE vocabulary installed (${vocabSize} tokens)`, 'success');
+    }
+
+    /**
+     * Toggle buttons between idle and running states
+     * @param {boolean} running - Whether training is in progress
+     */
+    setRunning(running) {
+        this.elements.trainBtn.disabled = running;
+        this.elements.cancelBtn.disabled = !running;
+        this.elements.trainBtn.innerHTML = running ?
+            '<i class="fas fa-spinner fa-spin"></i> Training...' :
+            '<i class="fas fa-graduation-cap"></i> Train BPE';
+    }
+}
+
+// Initialize Training Panel once the UI manager exists
+document.addEventListener('DOMContentLoaded', () => {
+    window.trainingPanel = new TrainingPanel(window.uiManager);
+});
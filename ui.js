@@ -15,8 +15,13 @@
 class UIManager {
     constructor() {
         this.elements = {};
+        this.visualizationResult = null;
         this.initializeElements();
         this.attachEventListeners();
+        this.initializeTokenizerSelect();
+        this.syncTokenizerControls();
+        this.initializeExportFormats();
+        this.initializeStepPlayers();
         this.initializeVocabularyDisplay();
     }
 
@@ -25,16 +30,36 @@ class UIManager {
      */
     initializeElements() {
         // Text to Token elements
+        this.elements.tokenizerSelect = document.getElementById('tokenizer-select');
+        this.elements.losslessToggle = document.getElementById('lossless-toggle');
+        this.elements.specialTokensToggle = document.getElementById('special-tokens-toggle');
+        this.elements.preTokenizerSelect = document.getElementById('pretokenizer-select');
+        this.elements.preTokenizerPattern = document.getElementById('pretokenizer-pattern');
+        this.elements.normalizerControls = document.getElementById('normalizer-controls');
+        this.elements.normalizerForm = document.getElementById('normalizer-form');
+        this.elements.normalizerLowercase = document.getElementById('normalizer-lowercase');
+        this.elements.normalizerStripAccents = document.getElementById('normalizer-strip-accents');
+        this.elements.normalizerCollapseWhitespace = document.getElementById('normalizer-collapse-whitespace');
         this.elements.inputText = document.getElementById('input-text');
+        this.elements.inputHighlights = document.getElementById('input-highlights');
         this.elements.encodeBtn = document.getElementById('encode-btn');
         this.elements.clearBtn = document.getElementById('clear-btn');
+        this.elements.encodingPlayer = document.getElementById('encoding-player');
+        this.elements.encodingStage = document.getElementById('encoding-stage');
         this.elements.encodingSequence = document.getElementById('encoding-sequence');
         this.elements.encodingResult = document.getElementById('encoding-result');
+        this.elements.exportFormat = document.getElementById('export-format');
+        this.elements.exportBtn = document.getElementById('export-btn');
+        this.elements.roundtripStatus = document.getElementById('roundtrip-status');
 
         // Token to Text elements
         this.elements.inputTokens = document.getElementById('input-tokens');
+        this.elements.tokenInputHighlights = document.getElementById('token-input-highlights');
+        this.elements.tokenInputErrors = document.getElementById('token-input-errors');
         this.elements.decodeBtn = document.getElementById('decode-btn');
         this.elements.clearDecodeBtn = document.getElementById('clear-decode-btn');
+        this.elements.decodingPlayer = document.getElementById('decoding-player');
+        this.elements.decodingStage = document.getElementById('decoding-stage');
         this.elements.decodingSequence = document.getElementById('decoding-sequence');
         this.elements.decodingResult = document.getElementById('decoding-result');
 
@@ -42,6 +67,11 @@ class UIManager {
         this.elements.vocabSearch = document.getElementById('vocab-search');
         this.elements.showAsciiBtn = document.getElementById('show-ascii-btn');
         this.elements.vocabDisplay = document.getElementById('vocab-display');
+        this.elements.importVocabBtn = document.getElementById('import-vocab-btn');
+        this.elements.resetVocabBtn = document.getElementById('reset-vocab-btn');
+        this.elements.validateVocabBtn = document.getElementById('validate-vocab-btn');
+        this.elements.vocabValidation = document.getElementById('vocab-validation');
+        this.elements.vocabFileInput = document.getElementById('vocab-file-input');
 
         // Visualization elements
         this.elements.charCount = document.getElementById('char-count');
@@ -49,6 +79,11 @@ class UIManager {
         this.elements.compressionRatio = document.getElementById('compression-ratio');
         this.elements.tokenVisualization = document.getElementById('token-visualization');
         this.elements.visualizationStats = document.getElementById('visualization-stats');
+        this.elements.latticePanel = document.getElementById('lattice-panel');
+        this.elements.latticeVisualization = document.getElementById('lattice-visualization');
+        this.elements.samplingToggle = document.getElementById('sampling-toggle');
+        this.elements.samplingAlpha = document.getElementById('sampling-alpha');
+        this.elements.resampleBtn = document.getElementById('resample-btn');
 
         // Toast notification
         this.elements.toast = document.getElementById('toast');
@@ -61,19 +96,38 @@ class UIManager {
      * Attach event listeners to UI elements
      */
     attachEventListeners() {
+        // Tokenizer selection
+        this.elements.tokenizerSelect.addEventListener('change', () => this.handleTokenizerChange());
+        this.elements.losslessToggle.addEventListener('change', () => this.handleLosslessToggle());
+        this.elements.specialTokensToggle.addEventListener('change', () => this.handleSpecialTokensToggle());
+        this.elements.preTokenizerSelect.addEventListener('change', () => this.handlePreTokenizerChange());
+        this.elements.preTokenizerPattern.addEventListener('change', () => this.handlePreTokenizerChange());
+        this.elements.normalizerControls.addEventListener('change', () => this.handleNormalizerChange());
+
         // Text to Token encoding
         this.elements.encodeBtn.addEventListener('click', () => this.handleTextEncoding());
         this.elements.clearBtn.addEventListener('click', () => this.handleClearAll());
         this.elements.inputText.addEventListener('input', () => this.handleTextInput());
+        this.elements.exportBtn.addEventListener('click', () => this.handleExport());
 
         // Token to Text decoding
         this.elements.decodeBtn.addEventListener('click', () => this.handleTokenDecoding());
         this.elements.clearDecodeBtn.addEventListener('click', () => this.handleClearDecoding());
+        this.elements.inputTokens.addEventListener('input', () => this.displayTokenInputErrors());
+        this.elements.inputTokens.addEventListener('scroll', () => {
+            this.elements.tokenInputHighlights.scrollTop = this.elements.inputTokens.scrollTop;
+        });
 
         // Vocabulary search and ASCII toggle
         this.elements.vocabSearch.addEventListener('input', () => this.handleVocabularySearch());
         this.elements.showAsciiBtn.addEventListener('click', () => this.handleAsciiToggle());
 
+        // Vocabulary import from tokenizer files
+        this.elements.importVocabBtn.addEventListener('click', () => this.elements.vocabFileInput.click());
+        this.elements.vocabFileInput.addEventListener('change', () => this.handleVocabularyImport());
+        this.elements.resetVocabBtn.addEventListener('click', () => this.handleVocabularyReset());
+        this.elements.validateVocabBtn.addEventListener('click', () => this.handleVocabularyValidation());
+
         // Copy to clipboard functionality
         this.elements.copyButtons.forEach(btn => {
             btn.addEventListener('click', (e) => this.handleCopyToClipboard(e));
@@ -82,10 +136,280 @@ class UIManager {
         // Real-time text analysis
         this.elements.inputText.addEventListener('input', () => this.updateVisualization());
 
+        // Token offsets: hovering a token marks its characters, selecting text marks its tokens
+        this.elements.tokenVisualization.addEventListener('mouseover', (e) => this.handleTokenHover(e));
+        this.elements.tokenVisualization.addEventListener('mouseout', () => this.clearInputHighlight());
+        ['select', 'keyup', 'mouseup'].forEach(type => {
+            this.elements.inputText.addEventListener(type, () => this.handleInputSelection());
+        });
+        this.elements.inputText.addEventListener('scroll', () => {
+            this.elements.inputHighlights.scrollTop = this.elements.inputText.scrollTop;
+        });
+
+        // Unigram subword sampling
+        this.elements.samplingToggle.addEventListener('change', () => this.handleSamplingChange());
+        this.elements.samplingAlpha.addEventListener('change', () => this.handleSamplingChange());
+        this.elements.resampleBtn.addEventListener('click', () => this.updateVisualization());
+
         // Tab navigation
         this.initializeTabNavigation();
     }
 
+    /**
+     * Populate the tokenizer selector with registered encoders
+     */
+    initializeTokenizerSelect() {
+        this.elements.tokenizerSelect.innerHTML = tokenizer.getEncoders()
+            .map(encoder => `<option value="${encoder.name}">${this.escapeHtml(encoder.label)}</option>`)
+            .join('');
+        this.elements.tokenizerSelect.value = tokenizer.activeEncoderName;
+    }
+
+    /**
+     * Populate the export format selector
+     */
+    initializeExportFormats() {
+        this.elements.exportFormat.innerHTML = Object.entries(EncodingExporter.FORMATS)
+            .map(([name, format]) => `<option value="${name}">${format.label}</option>`)
+            .join('');
+    }
+
+    /**
+     * Create the playback controllers for the encoding and decoding sequences
+     */
+    initializeStepPlayers() {
+        this.encodingPlayer = new StepPlayer(this.elements.encodingPlayer, index => this.showEncodingStep(index));
+        this.decodingPlayer = new StepPlayer(this.elements.decodingPlayer, index => this.showDecodingStep(index));
+    }
+
+    /**
+     * Handle switching the active tokenizer
+     */
+    handleTokenizerChange() {
+        const name = this.elements.tokenizerSelect.value;
+
+        try {
+            tokenizer.setActiveEncoder(name);
+        } catch (error) {
+            this.showToast(`Error: ${error.message}`, 'error');
+            return;
+        }
+
+        this.syncTokenizerControls();
+        this.resetTokenizerResults();
+
+        const label = this.elements.tokenizerSelect.selectedOptions[0].textContent;
+        this.showToast(`Switched to ${label} tokenizer`, 'success');
+    }
+
+    /**
+     * Match tokenizer controls to the active encoder
+     */
+    syncTokenizerControls() {
+        this.elements.tokenizerSelect.value = tokenizer.activeEncoderName;
+
+        // Lossless mode only applies to word lookup; other encoders are byte-exact
+        this.elements.losslessToggle.disabled = tokenizer.activeEncoderName !== 'word';
+
+        // WordPiece and Unigram split text their own way
+        const preTokenizer = tokenizer.getPreTokenizer();
+        this.elements.preTokenizerSelect.disabled = !preTokenizer;
+        this.elements.preTokenizerPattern.disabled = !preTokenizer;
+        if (preTokenizer) {
+            this.elements.preTokenizerSelect.value = preTokenizer.mode;
+            if (preTokenizer.mode === 'custom') this.elements.preTokenizerPattern.value = preTokenizer.pattern;
+        }
+        this.elements.preTokenizerPattern.classList.toggle('hidden', !preTokenizer || preTokenizer.mode !== 'custom');
+    }
+
+    /**
+     * Rebuild tokenizer controls after encoders were added or removed
+     */
+    refreshTokenizers() {
+        this.initializeTokenizerSelect();
+        this.syncTokenizerControls();
+        this.resetTokenizerResults();
+    }
+
+    /**
+     * Handle importing a vocabulary from tokenizer files
+     */
+    async handleVocabularyImport() {
+        const files = this.elements.vocabFileInput.files;
+        if (!files || files.length === 0) return;
+
+        try {
+            const loaded = await tokenizerApi.loadVocabularyFiles(files);
+            this.refreshTokenizers();
+            this.displayValidationReport(loaded.report);
+
+            if (loaded.report.valid) {
+                this.showToast(`Loaded ${loaded.size} tokens from ${loaded.name}`, 'success');
+            } else {
+                this.showToast(`Loaded ${loaded.name} with issues: ${vocabularyValidator.summarize(loaded.report)}`, 'warning');
+            }
+        } catch (error) {
+            this.showToast(`Error: ${error.message}`, 'error');
+        } finally {
+            // Allow re-selecting the same files
+            this.elements.vocabFileInput.value = '';
+        }
+    }
+
+    /**
+     * Handle restoring the built-in vocabulary
+     */
+    handleVocabularyReset() {
+        tokenizerApi.resetVocabulary();
+        this.refreshTokenizers();
+
+        this.showToast('Built-in vocabulary restored', 'success');
+    }
+
+    /**
+     * Handle validating the active vocabulary
+     */
+    handleVocabularyValidation() {
+        const report = tokenizer.validateVocabulary();
+        this.displayValidationReport(report);
+        this.showToast(vocabularyValidator.summarize(report), report.valid ? 'success' : 'warning');
+    }
+
+    /**
+     * Display a vocabulary validation report
+     * @param {Object} report - Report from the vocabulary validator
+     */
+    displayValidationReport(report) {
+        const panel = this.elements.vocabValidation;
+        const maxItems = 20;
+        const list = (title, items, format) => {
+            if (items.length === 0) return '';
+            const more = items.length > maxItems ? `<li>… and ${items.length - maxItems} more</li>` : '';
+            return `
+                <h4>${title} (${items.length})</h4>
+                <ul>${items.slice(0, maxItems).map(item => `<li>${format(item)}</li>`).join('')}${more}</ul>
+            `;
+        };
+        const quote = token => this.escapeHtml(JSON.stringify(token));
+
+        panel.classList.remove('hidden', 'passed', 'failed');
+        panel.classList.add(report.valid ? 'passed' : 'failed');
+        panel.innerHTML = `
+            <div class="validation-summary">
+                <i class="fas ${report.valid ? 'fa-check-circle' : 'fa-exclamation-triangle'}"></i>
+                ${this.escapeHtml(vocabularyValidator.summarize(report))}
+            </div>
+            ${list('Id collisions', report.collisions, item =>
+                `Id ${item.id} is shared by ${item.tokens.map(quote).join(', ')}`)}
+            ${list('Unreachable ids', report.unreachable, item =>
+                `Id ${item.id} (${quote(item.token)}) is never produced; encoding uses id ${item.reachableId}`)}
+            ${list('Id-range overlaps', report.overlaps, item =>
+                `${this.escapeHtml(item.ranges.join(' and '))} share ids ${item.start}-${item.end - 1}`)}
+        `;
+    }
+
+    /**
+     * Handle changes to the unigram sampling settings
+     */
+    handleSamplingChange() {
+        if (!tokenizer.encoder || !tokenizer.encoder.setSampling) return;
+
+        const alpha = parseFloat(this.elements.samplingAlpha.value);
+        if (isNaN(alpha) || alpha <= 0) {
+            this.showToast('α must be a positive number', 'warning');
+            return;
+        }
+
+        tokenizer.encoder.setSampling(this.elements.samplingToggle.checked, alpha);
+        this.updateVisualization();
+    }
+
+    /**
+     * Handle toggling lossless round-trip mode
+     */
+    handleLosslessToggle() {
+        const enabled = this.elements.losslessToggle.checked;
+        tokenizer.setLossless(enabled);
+        this.resetTokenizerResults();
+        this.showToast(`Lossless mode ${enabled ? 'enabled' : 'disabled'}`, 'success');
+    }
+
+    /**
+     * Handle toggling literal special token parsing
+     */
+    handleSpecialTokensToggle() {
+        const enabled = this.elements.specialTokensToggle.checked;
+        tokenizer.setParseSpecialTokens(enabled);
+        this.resetTokenizerResults();
+        this.showToast(`Special token parsing ${enabled ? 'enabled' : 'disabled'}`, 'success');
+    }
+
+    /**
+     * Handle changing the pre-tokenizer mode or custom pattern
+     */
+    handlePreTokenizerChange() {
+        const mode = this.elements.preTokenizerSelect.value;
+        const pattern = this.elements.preTokenizerPattern.value.trim();
+
+        // Wait for a pattern before switching to custom mode
+        if (mode === 'custom' && !pattern) {
+            this.elements.preTokenizerPattern.classList.remove('hidden');
+            this.elements.preTokenizerPattern.focus();
+            return;
+        }
+
+        try {
+            tokenizer.setPreTokenizer(mode, pattern);
+        } catch (error) {
+            // Leave the pattern in place so it can be corrected
+            this.showToast(`Error: ${error.message}`, 'error');
+            return;
+        }
+
+        this.syncTokenizerControls();
+        this.resetTokenizerResults();
+        this.showToast(`Pre-tokenizer: ${tokenizer.getPreTokenizer().getLabel()}`, 'success');
+    }
+
+    /**
+     * Handle changes to the normalizer chain
+     */
+    handleNormalizerChange() {
+        tokenizer.setNormalizer({
+            form: this.elements.normalizerForm.value,
+            lowercase: this.elements.normalizerLowercase.checked,
+            stripAccents: this.elements.normalizerStripAccents.checked,
+            collapseWhitespace: this.elements.normalizerCollapseWhitespace.checked
+        });
+
+        const labels = tokenizer.normalizer.getChain().map(normalizer => normalizer.label);
+        this.resetTokenizerResults();
+        this.showToast(labels.length ? `Normalizers: ${labels.join(' → ')}` : 'Normalization off', 'success');
+    }
+
+    /**
+     * Clear results produced under previous tokenizer settings
+     */
+    resetTokenizerResults() {
+        this.clearEncodingSequence();
+        this.elements.encodingResult.innerHTML = '';
+        this.clearDecodingSequence();
+        this.elements.decodingResult.innerHTML = '';
+        this.elements.roundtripStatus.classList.add('hidden');
+        this.elements.vocabValidation.classList.add('hidden');
+        this.displayTokenInputErrors();
+
+        this.handleVocabularySearch();
+        this.updateVisualization();
+
+        if (window.comparisonPanel) {
+            comparisonPanel.refreshEncoders();
+        }
+        if (window.diffPanel) {
+            diffPanel.update();
+        }
+    }
+
     /**
      * Handle text encoding process
      */
@@ -96,20 +420,32 @@ class UIManager {
             return;
         }
 
-        // Show loading state
-        this.elements.encodeBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Encoding...';
-        this.elements.encodeBtn.disabled = true;
+        const result = tokenizerApi.encodeDetailed(text);
+        this.displayEncodingResult(result);
+        this.displayRoundTripStatus(tokenizer.verifyRoundTrip(text));
+        this.updateVisualization();
+    }
 
-        // Simulate processing delay for better UX
-        setTimeout(() => {
-            const result = tokenizer.encodeText(text);
-            this.displayEncodingResult(result);
-            this.updateVisualization();
+    /**
+     * Download the encoding of the input text in the selected format
+     */
+    handleExport() {
+        const text = this.elements.inputText.value;
+        if (!text) {
+            this.showToast('Please enter some text to export', 'warning');
+            return;
+        }
 
-            // Reset button
-            this.elements.encodeBtn.innerHTML = '<i class="fas fa-cogs"></i> Encode Text';
-            this.elements.encodeBtn.disabled = false;
-        }, 300);
+        try {
+            // Export the segmentation on screen rather than drawing a new sample
+            const shown = this.visualizationResult;
+            const result = shown && shown.originalText === text ? shown : tokenizerApi.encodeDetailed(text);
+            const file = encodingExporter.export(result, this.elements.exportFormat.value);
+            this.downloadFile(file.filename, file.content, file.type);
+            this.showToast(`Exported ${file.filename}`, 'success');
+        } catch (error) {
+            this.showToast(`Export failed: ${error.message}`, 'error');
+        }
     }
 
     /**
@@ -122,30 +458,45 @@ class UIManager {
             return;
         }
 
-        try {
-            // Parse comma-separated tokens
-            const tokens = tokenInput.split(',').map(t => {
-                const num = parseInt(t.trim());
-                if (isNaN(num)) throw new Error(`Invalid token: ${t.trim()}`);
-                return num;
-            });
+        // Problems are marked in place; only malformed entries stop decoding
+        const parsed = this.displayTokenInputErrors();
+        if (parsed.errors.some(error => error.kind === 'malformed')) return;
+        if (parsed.ids.length === 0) {
+            this.showToast('No token ids found', 'warning');
+            return;
+        }
 
-            // Show loading state
-            this.elements.decodeBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Decoding...';
-            this.elements.decodeBtn.disabled = true;
+        this.displayDecodingResult(tokenizerApi.decodeDetailed(parsed.ids));
+    }
 
-            setTimeout(() => {
-                const result = tokenizer.decodeTokens(tokens);
-                this.displayDecodingResult(result);
+    /**
+     * Parse the token input and mark malformed and out-of-range entries where they are
+     * @returns {Object} - Token ids and errors from tokenizerApi.parseTokenIds()
+     */
+    displayTokenInputErrors() {
+        const input = this.elements.inputTokens.value;
+        const parsed = tokenizerApi.parseTokenIds(input);
 
-                // Reset button
-                this.elements.decodeBtn.innerHTML = '<i class="fas fa-magic"></i> Decode Tokens';
-                this.elements.decodeBtn.disabled = false;
-            }, 300);
+        let html = '';
+        let position = 0;
+        parsed.errors.forEach(error => {
+            html += this.escapeHtml(input.slice(position, error.start)) +
+                `<mark class="token-error-${error.kind}">${this.escapeHtml(error.text)}</mark>`;
+            position = error.end;
+        });
+        // The trailing newline keeps the backdrop as tall as the textarea
+        this.elements.tokenInputHighlights.innerHTML = html + this.escapeHtml(input.slice(position)) + '\n';
+        this.elements.tokenInputHighlights.scrollTop = this.elements.inputTokens.scrollTop;
 
-        } catch (error) {
-            this.showToast(`Error: ${error.message}`, 'error');
-        }
+        this.elements.tokenInputErrors.classList.toggle('hidden', parsed.errors.length === 0);
+        this.elements.tokenInputErrors.innerHTML = parsed.errors.map(error => {
+            const before = input.slice(0, error.start);
+            const line = before.split('\n').length;
+            const column = error.start - before.lastIndexOf('\n');
+            return `<li class="token-error-${error.kind}">Line ${line}, column ${column}: ${this.escapeHtml(error.message)}</li>`;
+        }).join('');
+
+        return parsed;
     }
 
     /**
@@ -156,8 +507,9 @@ class UIManager {
         this.elements.inputText.value = '';
 
         // Clear encoding results
-        this.elements.encodingSequence.innerHTML = '';
+        this.clearEncodingSequence();
         this.elements.encodingResult.innerHTML = '';
+        this.elements.roundtripStatus.classList.add('hidden');
 
         // Reset visualization
         this.elements.charCount.textContent = '0';
@@ -178,9 +530,10 @@ class UIManager {
     handleClearDecoding() {
         // Clear input field
         this.elements.inputTokens.value = '';
+        this.displayTokenInputErrors();
 
         // Clear decoding results
-        this.elements.decodingSequence.innerHTML = '';
+        this.clearDecodingSequence();
         this.elements.decodingResult.innerHTML = '';
 
         // Show success message
@@ -228,15 +581,16 @@ class UIManager {
     displayEncodingResult(result) {
         // Display encoding sequence
         let sequenceHTML = '<div class="sequence-steps">';
-        result.steps.forEach(step => {
+        result.steps.forEach((step, index) => {
             sequenceHTML += `
-                <div class="sequence-step">
+                <div class="sequence-step pending" data-index="${index}">
                     <span class="step-number">Step ${step.step}:</span>
-                    <span class="step-input">"${step.input}"</span>
+                    <span class="step-input">"${this.escapeHtml(String(step.input))}"</span>
                     <span class="step-arrow">→</span>
-                    <span class="step-process">${step.process}</span>
+                    <span class="step-process">${this.escapeHtml(step.process)}</span>
                     <span class="step-arrow">→</span>
-                    <span class="step-output">[${Array.isArray(step.output) ? step.output.join(', ') : step.output}]</span>
+                    <span class="step-output">[${this.escapeHtml(Array.isArray(step.output) ? step.output.join(', ') : String(step.output))}]</span>
+                    ${step.candidates ? this.renderCandidates(step) : ''}
                 </div>
             `;
         });
@@ -245,6 +599,94 @@ class UIManager {
 
         // Display token result
         this.elements.encodingResult.textContent = `[${result.tokens.join(', ')}]`;
+
+        // emittedBefore[i] is the number of final tokens emitted before step i
+        const emittedBefore = [0];
+        result.steps.forEach(step => emittedBefore.push(emittedBefore[emittedBefore.length - 1] + (step.emitted || 0)));
+        // Every token is rendered once; steps only change which ones show
+        const tokensHTML = result.tokens.map(token =>
+            `<span class="stage-token stage-pending" title="${this.escapeHtml(tokenizer.getTokenText(token))}">${token}</span>`
+        ).join('');
+
+        this.elements.encodingStage.innerHTML = `
+            <div class="stage-row">
+                <span class="stage-label">Input</span>
+                <div class="stage-text"></div>
+            </div>
+            <div class="stage-row">
+                <span class="stage-label">Lookup</span>
+                <div class="stage-lookup"></div>
+            </div>
+            <div class="stage-row">
+                <span class="stage-label">Tokens</span>
+                <div class="stage-tokens stage-emitted"><span class="stage-none">none yet</span>${tokensHTML}</div>
+            </div>
+        `;
+
+        this.encodingPlayback = {
+            result: result,
+            emittedBefore: emittedBefore,
+            steps: this.createProgress(this.elements.encodingSequence.querySelectorAll('.sequence-step')),
+            tokens: this.createProgress(this.elements.encodingStage.querySelectorAll('.stage-token'))
+        };
+        this.encodingPlayer.load(result.steps.length);
+    }
+
+    /**
+     * Show one encoding step: its input segment, the lookup and the token ids emitted so far
+     * @param {number} index - Step index
+     */
+    showEncodingStep(index) {
+        const { result, emittedBefore } = this.encodingPlayback;
+        const step = result.steps[index];
+        const text = result.originalText;
+        const span = step.span || [0, 0];
+        const stage = this.elements.encodingStage;
+
+        stage.querySelector('.stage-text').innerHTML = this.escapeHtml(text.slice(0, span[0])) +
+            `<mark class="stage-segment${span[0] === span[1] ? ' empty' : ''}">${this.escapeHtml(text.slice(span[0], span[1]))}</mark>` +
+            this.escapeHtml(text.slice(span[1]));
+        stage.querySelector('.stage-lookup').textContent = step.process;
+        stage.querySelector('.stage-none').classList.toggle('hidden', emittedBefore[index + 1] > 0);
+        this.moveProgress(this.encodingPlayback.tokens, emittedBefore[index], emittedBefore[index + 1], UIManager.TOKEN_PROGRESS);
+        stage.classList.remove('hidden');
+
+        this.highlightSequenceStep(this.elements.encodingSequence, this.encodingPlayback.steps, index);
+    }
+
+    /**
+     * Render the substrings a greedy search tried, marking the match
+     * @param {Object} step - Encoding step with candidates
+     * @returns {string} - Candidate list HTML
+     */
+    renderCandidates(step) {
+        const chips = step.candidates.map(candidate => {
+            const className = candidate === step.match ? 'candidate matched' : 'candidate';
+            return `<span class="${className}">${this.escapeHtml(candidate)}</span>`;
+        }).join('');
+
+        return `<div class="step-candidates">${chips}</div>`;
+    }
+
+    /**
+     * Display the outcome of the encode/decode round-trip check
+     * @param {Object} check - Round-trip result from tokenizer
+     */
+    displayRoundTripStatus(check) {
+        const status = this.elements.roundtripStatus;
+        status.classList.remove('hidden', 'passed', 'failed');
+
+        if (check.passed) {
+            status.classList.add('passed');
+            status.innerHTML = '<i class="fas fa-check-circle"></i><span>Round-trip exact: decoding restores the original text</span>';
+            return;
+        }
+
+        const index = check.mismatchIndex;
+        const expected = this.escapeHtml(JSON.stringify(check.originalText.slice(index, index + 10)));
+        const actual = this.escapeHtml(JSON.stringify(check.decodedText.slice(index, index + 10)));
+        status.classList.add('failed');
+        status.innerHTML = `<i class="fas fa-times-circle"></i><span>Round-trip lossy at character ${index}: expected ${expected}, decoded ${actual}</span>`;
     }
 
     /**
@@ -254,15 +696,15 @@ class UIManager {
     displayDecodingResult(result) {
         // Display decoding sequence
         let sequenceHTML = '<div class="sequence-steps">';
-        result.steps.forEach(step => {
+        result.steps.forEach((step, index) => {
             sequenceHTML += `
-                <div class="sequence-step">
+                <div class="sequence-step pending" data-index="${index}">
                     <span class="step-number">Step ${step.step}:</span>
                     <span class="step-input">[${step.input}]</span>
                     <span class="step-arrow">→</span>
-                    <span class="step-process">${step.process}</span>
+                    <span class="step-process">${this.escapeHtml(step.process)}</span>
                     <span class="step-arrow">→</span>
-                    <span class="step-output">"${step.output}"</span>
+                    <span class="step-output">"${this.escapeHtml(step.output)}"</span>
                 </div>
             `;
         });
@@ -271,6 +713,123 @@ class UIManager {
 
         // Display text result
         this.elements.decodingResult.textContent = result.text;
+
+        // The token strip is rendered once; steps only move the highlight along it
+        const tokensHTML = result.steps.map(step =>
+            `<span class="stage-token stage-pending">${this.escapeHtml(String(step.input))}</span>`
+        ).join('');
+
+        this.elements.decodingStage.innerHTML = `
+            <div class="stage-row">
+                <span class="stage-label">Token</span>
+                <div class="stage-tokens">${tokensHTML}</div>
+            </div>
+            <div class="stage-row">
+                <span class="stage-label">Lookup</span>
+                <div class="stage-lookup"></div>
+            </div>
+            <div class="stage-row">
+                <span class="stage-label">Output</span>
+                <div class="stage-text"></div>
+            </div>
+        `;
+
+        // outputStarts[i] is where step i's output begins in the joined output
+        const outputStarts = [0];
+        result.steps.forEach(step => outputStarts.push(outputStarts[outputStarts.length - 1] + step.output.length));
+
+        this.decodingPlayback = {
+            result: result,
+            output: result.steps.map(step => step.output).join(''),
+            outputStarts: outputStarts,
+            steps: this.createProgress(this.elements.decodingSequence.querySelectorAll('.sequence-step')),
+            tokens: this.createProgress(this.elements.decodingStage.querySelectorAll('.stage-token'))
+        };
+        this.decodingPlayer.load(result.steps.length);
+    }
+
+    /**
+     * Show one decoding step: the token being read, the lookup and the text emitted so far
+     * @param {number} index - Step index
+     */
+    showDecodingStep(index) {
+        const { result, output, outputStarts } = this.decodingPlayback;
+        const step = result.steps[index];
+        const stage = this.elements.decodingStage;
+        const previousText = output.slice(0, outputStarts[index]);
+
+        this.moveProgress(this.decodingPlayback.tokens, index, index + 1, UIManager.TOKEN_PROGRESS);
+        stage.querySelector('.stage-lookup').textContent = step.process;
+        stage.querySelector('.stage-text').innerHTML = this.escapeHtml(previousText) +
+            `<mark class="stage-segment${step.output ? '' : ' empty'}">${this.escapeHtml(step.output)}</mark>`;
+        stage.classList.remove('hidden');
+
+        this.highlightSequenceStep(this.elements.decodingSequence, this.decodingPlayback.steps, index);
+    }
+
+    /**
+     * Track the position of a rendered sequence whose elements all start out pending
+     * @param {NodeList} elements - Sequence elements, in order
+     * @returns {Object} - Elements and the current [start, end) window, for moveProgress()
+     */
+    createProgress(elements) {
+        return { elements: elements, start: 0, end: 0 };
+    }
+
+    /**
+     * Move the current window of a rendered sequence
+     * Elements before the window are done, inside it current and after it pending. Only the
+     * elements between the old and new windows change, so a playback step costs the same
+     * however long the sequence is.
+     * @param {Object} progress - Progress from createProgress(), updated in place
+     * @param {number} start - First element of the new window
+     * @param {number} end - End of the new window (exclusive)
+     * @param {Object} classes - Class names for the current and pending states
+     */
+    moveProgress(progress, start, end, classes) {
+        const from = Math.min(progress.start, start);
+        const to = Math.min(Math.max(progress.end, end), progress.elements.length);
+
+        for (let i = from; i < to; i++) {
+            progress.elements[i].classList.toggle(classes.current, i >= start && i < end);
+            progress.elements[i].classList.toggle(classes.pending, i >= end);
+        }
+
+        progress.start = start;
+        progress.end = end;
+    }
+
+    /**
+     * Mark the current step in a sequence list, dim the steps still to come and keep it in view
+     * @param {HTMLElement} container - Sequence display element
+     * @param {Object} progress - Progress of the sequence steps
+     * @param {number} index - Current step index
+     */
+    highlightSequenceStep(container, progress, index) {
+        this.moveProgress(progress, index, index + 1, UIManager.STEP_PROGRESS);
+
+        const current = progress.elements[index];
+        if (current) {
+            container.scrollTop = current.offsetTop - (container.clientHeight - current.offsetHeight) / 2;
+        }
+    }
+
+    /**
+     * Stop encoding playback and clear the sequence
+     */
+    clearEncodingSequence() {
+        this.encodingPlayer.clear();
+        this.elements.encodingStage.classList.add('hidden');
+        this.elements.encodingSequence.innerHTML = '';
+    }
+
+    /**
+     * Stop decoding playback and clear the sequence
+     */
+    clearDecodingSequence() {
+        this.decodingPlayer.clear();
+        this.elements.decodingStage.classList.add('hidden');
+        this.elements.decodingSequence.innerHTML = '';
     }
 
     /**
@@ -325,10 +884,19 @@ class UIManager {
             this.elements.compressionRatio.textContent = '0%';
             this.elements.tokenVisualization.innerHTML = '<div class="empty-state">Enter text to see visualization</div>';
             this.elements.visualizationStats.textContent = '';
+            this.elements.latticePanel.classList.add('hidden');
+            this.visualizationResult = null;
+            if (window.chatPanel) window.chatPanel.annotate(null);
+            if (window.contextPanel) window.contextPanel.update(null);
+            if (window.costPanel) window.costPanel.update(null);
             return;
         }
 
-        const stats = tokenizer.getEncodingStats(text);
+        // Encode once: with Unigram sampling every encode can segment differently, and the
+        // statistics, token grid, panels and export must all show the same segmentation
+        const result = tokenizerApi.encodeDetailed(text);
+        this.visualizationResult = result;
+        const stats = tokenizer.getEncodingStats(text, result);
         
         // Update statistics
         this.elements.charCount.textContent = stats.characterCount;
@@ -336,35 +904,184 @@ class UIManager {
         this.elements.compressionRatio.textContent = `${stats.compressionRatio}%`;
 
         // Create token visualization
-        const result = tokenizer.encodeText(text);
-        let vizHTML = '<div class="token-grid">';
-        
-        result.tokens.forEach((token, index) => {
-            const tokenText = tokenizer.reverseVocabulary.has(token) ? 
-                tokenizer.reverseVocabulary.get(token) : 
-                String.fromCharCode(token - tokenizer.asciiOffset);
-            
-            const displayText = tokenText === ' ' ? '&nbsp;' :
-                               tokenText === '\n' ? '\\n' :
-                               tokenText === '\t' ? '\\t' :
-                               this.escapeHtml(tokenText);
-            
-            vizHTML += `
-                <div class="token-item" title="Token: ${token}, Text: '${tokenText}'">
-                    <div class="token-text">${displayText}</div>
-                    <div class="token-id">${token}</div>
-                </div>
-            `;
-        });
-        
-        vizHTML += '</div>';
-        this.elements.tokenVisualization.innerHTML = vizHTML;
+        this.elements.tokenVisualization.innerHTML = this.renderTokenGrid(result.tokens, new Set(), result.offsets);
+        this.displayLattice(result);
+        this.handleInputSelection();
+        if (window.chatPanel) window.chatPanel.annotate(result);
+        if (window.contextPanel) window.contextPanel.update(result);
+        if (window.costPanel) window.costPanel.update(result);
 
         // Update hidden stats for copying
         this.elements.visualizationStats.textContent = 
             `Characters: ${stats.characterCount}, Tokens: ${stats.tokenCount}, Compression: ${stats.compressionRatio}%`;
     }
 
+    /**
+     * Highlight the input characters behind a hovered token
+     * @param {Event} event - Mouseover event from the token grid
+     */
+    handleTokenHover(event) {
+        const item = event.target.closest('.token-item[data-start]');
+        if (!item) return;
+        this.highlightInputRange(Number(item.dataset.start), Number(item.dataset.end));
+    }
+
+    /**
+     * Mark a range of the input text in the highlight backdrop
+     * @param {number} start - Start offset
+     * @param {number} end - End offset (exclusive)
+     */
+    highlightInputRange(start, end) {
+        const text = this.elements.inputText.value;
+
+        // The trailing newline keeps the backdrop as tall as the textarea
+        this.elements.inputHighlights.innerHTML =
+            this.escapeHtml(text.slice(0, start)) +
+            `<mark>${this.escapeHtml(text.slice(start, end))}</mark>` +
+            this.escapeHtml(text.slice(end)) + '\n';
+        this.elements.inputHighlights.scrollTop = this.elements.inputText.scrollTop;
+    }
+
+    /**
+     * Remove the input highlight
+     */
+    clearInputHighlight() {
+        this.elements.inputHighlights.innerHTML = '';
+    }
+
+    /**
+     * Mark the tokens that overlap the selected input text
+     */
+    handleInputSelection() {
+        const start = this.elements.inputText.selectionStart;
+        const end = this.elements.inputText.selectionEnd;
+
+        this.elements.tokenVisualization.querySelectorAll('.token-item[data-start]').forEach(item => {
+            const tokenStart = Number(item.dataset.start);
+            const tokenEnd = Number(item.dataset.end);
+            const covered = start < end && tokenStart < end && tokenEnd > start;
+            item.classList.toggle('span-selected', covered);
+        });
+    }
+
+    /**
+     * Display the segmentation lattice for encoders that produce one
+     * Each word gets a grid: characters on top, candidate pieces below
+     * @param {Object} result - Encoding result from tokenizer
+     */
+    displayLattice(result) {
+        if (!result.lattices) {
+            this.elements.latticePanel.classList.add('hidden');
+            return;
+        }
+
+        this.elements.latticePanel.classList.remove('hidden');
+        this.elements.samplingToggle.checked = tokenizer.encoder.sampling;
+
+        // Keep the DOM small for long inputs
+        const maxWords = 12;
+        let latticeHTML = '';
+
+        result.lattices.slice(0, maxWords).forEach(lattice => {
+            const chosen = new Set(lattice.path);
+            const rowEnds = [];
+            let cellsHTML = lattice.chars.map((char, index) =>
+                `<div class="lattice-char" style="grid-column: ${index + 1}; grid-row: 1">${this.escapeHtml(char)}</div>`
+            ).join('');
+
+            lattice.edges.forEach(edge => {
+                // Place each edge on the first row where it does not overlap
+                let row = rowEnds.findIndex(end => end <= edge.start);
+                if (row === -1) row = rowEnds.length;
+                rowEnds[row] = edge.end;
+
+                const classes = ['lattice-edge'];
+                if (chosen.has(edge)) classes.push('chosen');
+                if (edge.unknown) classes.push('unknown');
+
+                cellsHTML += `
+                    <div class="${classes.join(' ')}" style="grid-column: ${edge.start + 1} / ${edge.end + 1}; grid-row: ${row + 2}"
+                         title="${this.escapeHtml(edge.piece)}: log p = ${edge.score.toFixed(2)}">
+                        ${this.escapeHtml(edge.piece)} <small>${edge.score.toFixed(1)}</small>
+                    </div>
+                `;
+            });
+
+            latticeHTML += `
+                <div class="lattice" style="grid-template-columns: repeat(${lattice.chars.length}, minmax(36px, auto))">
+                    ${cellsHTML}
+                </div>
+            `;
+        });
+
+        if (result.lattices.length > maxWords) {
+            latticeHTML += `<div class="no-results">Showing the first ${maxWords} of ${result.lattices.length} words</div>`;
+        }
+
+        this.elements.latticeVisualization.innerHTML = latticeHTML;
+    }
+
+    /**
+     * Render a token grid with the active tokenizer; multi-byte characters are grouped
+     * @param {Array} tokens - Array of token IDs
+     * @param {Set} highlighted - Token indices to mark (optional)
+     * @param {Array} offsets - [start, end) input offsets per token (optional)
+     * @returns {string} - Token grid HTML
+     */
+    renderTokenGrid(tokens, highlighted = new Set(), offsets = null) {
+        let gridHTML = '<div class="token-grid">';
+        let index = 0;
+
+        tokenizer.groupTokens(tokens).forEach(group => {
+            const items = group.tokens.map(token => {
+                const offset = offsets ? offsets[index] : null;
+                const className = highlighted.has(index++) ? 'highlighted' : '';
+                return this.renderTokenItem(token, className, offset);
+            }).join('');
+
+            if (group.tokens.length === 1) {
+                gridHTML += items;
+                return;
+            }
+
+            gridHTML += `
+                <div class="token-group" title="${group.tokens.length} tokens for '${this.escapeHtml(group.text)}'">
+                    <div class="token-group-items">${items}</div>
+                    <div class="token-group-text">${this.escapeHtml(group.text)}</div>
+                </div>
+            `;
+        });
+
+        gridHTML += '</div>';
+        return gridHTML;
+    }
+
+    /**
+     * Render a single token for the visualization grid
+     * @param {number} token - Token ID
+     * @param {string} className - Extra CSS class (optional)
+     * @param {Array} offset - [start, end) input offsets of the token (optional)
+     * @returns {string} - Token item HTML
+     */
+    renderTokenItem(token, className = '', offset = null) {
+        const tokenText = tokenizer.getTokenText(token);
+
+        const displayText = tokenText === ' ' ? '&nbsp;' :
+                           tokenText === '\n' ? '\\n' :
+                           tokenText === '\t' ? '\\t' :
+                           this.escapeHtml(tokenText);
+
+        const offsetAttributes = offset ? ` data-start="${offset[0]}" data-end="${offset[1]}"` : '';
+        const offsetTitle = offset ? `, Offsets: [${offset[0]}, ${offset[1]})` : '';
+
+        return `
+            <div class="token-item ${className}"${offsetAttributes} title="Token: ${token}, Text: '${this.escapeHtml(tokenText)}'${offsetTitle}">
+                <div class="token-text">${displayText}</div>
+                <div class="token-id">${token}</div>
+            </div>
+        `;
+    }
+
     /**
      * Handle copy to clipboard functionality
      * @param {Event} event - Click event
@@ -410,7 +1127,11 @@ class UIManager {
                     type === 'warning' ? 'fas fa-exclamation-triangle' : 
                     'fas fa-times';
         
-        toast.innerHTML = `<i class="${icon}"></i><span>${message}</span>`;
+        // Messages can quote file names and shared links, so they go in as text
+        const text = document.createElement('span');
+        text.textContent = message;
+        toast.innerHTML = `<i class="${icon}"></i>`;
+        toast.appendChild(text);
         toast.className = `toast ${type}`;
         toast.classList.add('show');
 
@@ -427,7 +1148,25 @@ class UIManager {
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // Quotes too, so the result is safe inside attribute values
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Offer text as a file download
+     * @param {string} filename - Suggested file name
+     * @param {string|BlobPart} content - File content
+     * @param {string} type - MIME type
+     */
+    downloadFile(filename, content, type = 'text/plain') {
+        const url = URL.createObjectURL(new Blob([content], { type: type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
     }
 
     /**
@@ -457,6 +1196,16 @@ class UIManager {
     }
 }
 
+/**
+ * Classes for the current and pending steps of a sequence list
+ */
+UIManager.STEP_PROGRESS = { current: 'current', pending: 'pending' };
+
+/**
+ * Classes for the current and pending tokens of a playback stage
+ */
+UIManager.TOKEN_PROGRESS = { current: 'stage-new', pending: 'stage-pending' };
+
 // Initialize UI Manager when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.uiManager = new UIManager();
@@ -0,0 +1,340 @@
+/**
+ * ===== AI TOKEN VISUALIZER - UNIGRAM MODULE =====
+ *
+ * This module implements a SentencePiece-style unigram encoder, including:
+ * - Pieces scored by log-probability, with "▁" marking word boundaries
+ * - Viterbi best-path segmentation over a lattice of candidate pieces
+ * - Lattice export so the chosen path can be visualized
+ * - Optional sampling of alternative segmentations (subword regularization)
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class UnigramEncoder {
+    /**
+     * @param {Object} options - Encoder options
+     * @param {string} options.name - Display name of the encoder
+     * @param {Array} options.vocab - [piece, logProb] pairs; the index is the token id
+     * @param {number} options.unkId - Id of the unknown piece (default 0)
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'Unigram (SentencePiece)';
+        this.type = 'unigram';
+        this.boundary = '▁';
+
+        // Subword regularization: sample a path instead of taking the best one
+        this.sampling = false;
+        this.alpha = 0.1;
+
+        this.loadVocabulary(options.vocab || UnigramEncoder.DEFAULT_VOCAB, options.unkId || 0);
+    }
+
+    /**
+     * Load pieces and their log-probabilities
+     * @param {Array} vocab - [piece, logProb] pairs
+     * @param {number} unkId - Id of the unknown piece
+     */
+    loadVocabulary(vocab, unkId) {
+        this.vocabulary = new Map();
+        this.reverseVocabulary = new Map();
+        this.scores = new Map();
+        this.maxPieceLength = 1;
+
+        vocab.forEach(([piece, score], tokenId) => {
+            this.vocabulary.set(piece, tokenId);
+            this.reverseVocabulary.set(tokenId, piece);
+            this.scores.set(piece, score);
+            this.maxPieceLength = Math.max(this.maxPieceLength, Array.from(piece).length);
+        });
+
+        this.unkId = unkId;
+
+        // Unknown characters cost more than any real piece, as in SentencePiece
+        this.unkScore = Math.min(...this.scores.values()) - 10;
+    }
+
+    /**
+     * Turn subword sampling on or off
+     * @param {boolean} enabled - Whether to sample segmentations
+     * @param {number} alpha - Smoothing; lower values give more varied samples
+     */
+    setSampling(enabled, alpha = this.alpha) {
+        this.sampling = enabled;
+        this.alpha = alpha;
+    }
+
+    /**
+     * Encode text by segmenting each word along its best (or a sampled) path
+     * @param {string} text - Input text to encode
+     * @returns {Object} - Encoding result with tokens, steps and lattices
+     */
+    encode(text) {
+        if (!text) return { tokens: [], steps: [] };
+
+        const steps = [];
+        const tokens = [];
+        const offsets = [];
+        const lattices = [];
+
+        // Spaces become "▁" and each word keeps its leading marker
+        for (const match of text.matchAll(/\S+/g)) {
+            const word = this.boundary + match[0];
+            const lattice = this.buildLattice(word);
+            const path = this.sampling ? this.samplePath(lattice) : this.viterbi(lattice);
+            const ids = path.map(edge => edge.id);
+            const score = path.reduce((sum, edge) => sum + edge.score, 0);
+
+            // Lattice position i (after the marker) starts at charOffsets[i - 1] in the input
+            const charOffsets = [];
+            let position = match.index;
+            for (const char of match[0]) {
+                charOffsets.push(position);
+                position += char.length;
+            }
+            charOffsets.push(position);
+            const toOffset = index => charOffsets[Math.max(index - 1, 0)];
+
+            tokens.push(...ids);
+            offsets.push(...path.map(edge => [toOffset(edge.start), toOffset(edge.end)]));
+            lattices.push({ text: word, chars: lattice.chars, edges: lattice.edges, path: path });
+            steps.push({
+                step: steps.length + 1,
+                input: word,
+                process: this.sampling ?
+                    `Sampled path (α=${this.alpha}) from ${lattice.edges.length} candidate pieces: ${path.map(edge => edge.piece).join(' | ')} (log p = ${score.toFixed(2)})` :
+                    `Viterbi best path over ${lattice.edges.length} candidate pieces: ${path.map(edge => edge.piece).join(' | ')} (log p = ${score.toFixed(2)})`,
+                output: ids,
+                span: [match.index, match.index + match[0].length],
+                emitted: ids.length
+            });
+        }
+
+        return {
+            tokens: tokens,
+            offsets: offsets,
+            steps: steps,
+            lattices: lattices,
+            originalText: text,
+            tokenCount: tokens.length,
+            characterCount: text.length
+        };
+    }
+
+    /**
+     * Collect every vocabulary piece that occurs in the word
+     * Characters no piece covers get an unknown edge so a path always exists
+     * @param {string} word - Word with its "▁" marker
+     * @returns {Object} - Characters and candidate edges
+     */
+    buildLattice(word) {
+        const chars = Array.from(word);
+        const edges = [];
+
+        for (let start = 0; start < chars.length; start++) {
+            let covered = false;
+            const maxEnd = Math.min(chars.length, start + this.maxPieceLength);
+
+            for (let end = start + 1; end <= maxEnd; end++) {
+                const piece = chars.slice(start, end).join('');
+                if (this.vocabulary.has(piece) && piece !== this.reverseVocabulary.get(this.unkId)) {
+                    edges.push({ start, end, piece, id: this.vocabulary.get(piece), score: this.scores.get(piece) });
+                    if (end === start + 1) covered = true;
+                }
+            }
+
+            if (!covered) {
+                edges.push({ start, end: start + 1, piece: chars[start], id: this.unkId, score: this.unkScore, unknown: true });
+            }
+        }
+
+        return { chars, edges };
+    }
+
+    /**
+     * Find the highest scoring segmentation
+     * @param {Object} lattice - Characters and candidate edges
+     * @returns {Array} - Edges on the best path
+     */
+    viterbi(lattice) {
+        const length = lattice.chars.length;
+        const best = new Array(length + 1).fill(-Infinity);
+        const back = new Array(length + 1).fill(null);
+        best[0] = 0;
+
+        // Edges are ordered by start, so every predecessor is final when used
+        lattice.edges.forEach(edge => {
+            const score = best[edge.start] + edge.score;
+            if (score > best[edge.end]) {
+                best[edge.end] = score;
+                back[edge.end] = edge;
+            }
+        });
+
+        const path = [];
+        for (let pos = length; pos > 0; pos = back[pos].start) {
+            path.unshift(back[pos]);
+        }
+        return path;
+    }
+
+    /**
+     * Sample a segmentation with forward-filtering backward-sampling
+     * @param {Object} lattice - Characters and candidate edges
+     * @returns {Array} - Edges on the sampled path
+     */
+    samplePath(lattice) {
+        const length = lattice.chars.length;
+        const forward = new Array(length + 1).fill(-Infinity);
+        forward[0] = 0;
+
+        lattice.edges.forEach(edge => {
+            forward[edge.end] = this.logAdd(forward[edge.end], forward[edge.start] + this.alpha * edge.score);
+        });
+
+        const path = [];
+        let pos = length;
+        while (pos > 0) {
+            const incoming = lattice.edges.filter(edge => edge.end === pos);
+            const weights = incoming.map(edge => Math.exp(forward[edge.start] + this.alpha * edge.score - forward[pos]));
+
+            let threshold = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+            let chosen = incoming[incoming.length - 1];
+            for (let i = 0; i < incoming.length; i++) {
+                threshold -= weights[i];
+                if (threshold <= 0) {
+                    chosen = incoming[i];
+                    break;
+                }
+            }
+
+            path.unshift(chosen);
+            pos = chosen.start;
+        }
+        return path;
+    }
+
+    /**
+     * Add two log-space values without leaving log space
+     * @param {number} a - log(x)
+     * @param {number} b - log(y)
+     * @returns {number} - log(x + y)
+     */
+    logAdd(a, b) {
+        if (a === -Infinity) return b;
+        if (b === -Infinity) return a;
+        const max = Math.max(a, b);
+        return max + Math.log(Math.exp(a - max) + Math.exp(b - max));
+    }
+
+    /**
+     * Decode tokens back to text, turning "▁" back into spaces
+     * @param {Array} tokens - Array of token IDs
+     * @returns {Object} - Decoding result with text and steps
+     */
+    decode(tokens) {
+        if (!tokens || tokens.length === 0) return { text: '', steps: [] };
+
+        const steps = [];
+        let decodedText = '';
+
+        tokens.forEach((token, index) => {
+            const step = {
+                step: index + 1,
+                input: token,
+                process: '',
+                output: ''
+            };
+
+            if (this.reverseVocabulary.has(token)) {
+                const piece = this.reverseVocabulary.get(token);
+                let text = piece.split(this.boundary).join(' ');
+
+                // The first word's marker was added by the encoder, not the input
+                if (!decodedText) text = text.replace(/^ /, '');
+
+                decodedText += text;
+                step.process = `Token ${token} is "${piece}"`;
+                step.output = text;
+            } else {
+                const unknownText = '<UNK>';
+                decodedText += unknownText;
+                step.process = `Token ${token} not found, using <UNK>`;
+                step.output = unknownText;
+            }
+
+            steps.push(step);
+        });
+
+        return {
+            text: decodedText,
+            steps: steps,
+            tokenCount: tokens.length
+        };
+    }
+
+    /**
+     * Get the display text of a token
+     * @param {number} token - Token ID
+     * @returns {string} - Piece, including any "▁" marker
+     */
+    idToToken(token) {
+        return this.reverseVocabulary.has(token) ? this.reverseVocabulary.get(token) : '<UNK>';
+    }
+
+    /**
+     * Check whether a token stands for characters no piece covers
+     * @param {number} token - Token ID
+     * @returns {boolean} - True for the unknown piece or ids outside the vocabulary
+     */
+    isUnknownToken(token) {
+        return token === this.unkId || !this.reverseVocabulary.has(token);
+    }
+
+    /**
+     * Get vocabulary for display
+     * @param {string} searchTerm - Optional search term
+     * @returns {Array} - Vocabulary entries
+     */
+    getVocabulary(searchTerm = '') {
+        const vocab = [];
+        const term = searchTerm.toLowerCase();
+
+        for (const [piece, tokenId] of this.vocabulary.entries()) {
+            if (!term || piece.toLowerCase().includes(term) || tokenId.toString().includes(term)) {
+                vocab.push({
+                    character: `${piece} (${this.scores.get(piece).toFixed(2)})`,
+                    token: tokenId,
+                    type: 'vocabulary'
+                });
+            }
+        }
+
+        return vocab.sort((a, b) => a.token - b.token);
+    }
+}
+
+/**
+ * A small demo vocabulary of [piece, log-probability] pairs
+ * Whole words win when frequent; rarer words fall back to subwords and letters
+ */
+UnigramEncoder.DEFAULT_VOCAB = [
+    ['<unk>', 0], ['<s>', 0], ['</s>', 0],
+    ['▁', -3.5], ['▁the', -3.2], ['▁a', -3.9], ['▁to', -4.0], ['▁and', -4.1],
+    ['▁of', -4.1], ['▁in', -4.4], ['▁is', -4.6], ['▁it', -4.9], ['▁for', -5.0],
+    ['▁that', -5.0], ['▁you', -5.2], ['▁with', -5.3], ['▁this', -5.5], ['▁are', -5.6],
+    ['▁be', -5.8], ['▁on', -5.1], ['▁as', -5.4], ['▁not', -6.0], ['▁un', -6.6],
+    ['▁re', -6.1], ['▁pre', -7.0], ['▁t', -6.2], ['▁s', -6.4], ['▁w', -6.5],
+    ['▁token', -7.6], ['▁word', -7.7], ['▁world', -7.5], ['▁hello', -8.1],
+    ['▁learn', -8.0], ['▁model', -8.2], ['▁train', -8.4], ['▁text', -7.9], ['▁new', -6.9],
+    ['▁Hello', -8.6], ['▁The', -5.9], ['▁I', -5.5], ['▁A', -7.0], ['▁AI', -8.8],
+    ['s', -4.3], ['ed', -5.2], ['ing', -5.0], ['er', -5.4], ['ers', -6.6], ['ly', -6.0], ['es', -5.7],
+    ['ize', -7.9], ['izer', -8.6], ['ization', -8.9], ['iz', -8.3], ['tion', -6.4], ['ation', -6.9],
+    ['ment', -7.0], ['ness', -7.3], ['able', -7.2], ['al', -6.3], ['ic', -6.5], ['en', -6.0],
+    ['ken', -8.0], ['to', -7.1], ['ok', -8.2], ['el', -7.4], ['ll', -7.2], ['lo', -7.5], ['or', -6.7],
+    ['ld', -7.3], ['ar', -6.6], ['an', -6.2], ['in', -6.1], ['on', -6.2], ['at', -6.3], ['re', -6.4],
+    ...'abcdefghijklmnopqrtuvwxyz'.split('').map((char, index) => [char, -8.5 - (index % 7) * 0.2]),
+    ...'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').map(char => [char, -10.5]),
+    ...'0123456789'.split('').map(char => [char, -9.5]),
+    ...'.,!?;:\'"()-'.split('').map(char => [char, -6.8])
+];
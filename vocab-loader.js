@@ -0,0 +1,234 @@
+/**
+ * ===== AI TOKEN VISUALIZER - VOCABULARY LOADER MODULE =====
+ *
+ * This module reads tokenizer vocabularies from standard files:
+ * - Hugging Face tokenizer.json (byte-level BPE, WordPiece and Unigram models)
+ * - WordPiece vocab.txt (one token per line)
+ * - GPT-2 style vocab.json + merges.txt pairs
+ *
+ * Files are parsed into a vocabulary descriptor that the tokenizer
+ * can install as its active encoder. Descriptors keep every [token, id]
+ * entry as read, so duplicates can still be reported after parsing.
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class VocabularyLoader {
+    /**
+     * Read and parse a set of user-selected files
+     * @param {FileList|Array} files - Files from a file picker
+     * @returns {Promise<Object>} - Vocabulary descriptor
+     */
+    async loadFiles(files) {
+        const list = Array.from(files);
+        if (list.length === 0) throw new Error('No files selected');
+
+        const contents = {};
+        for (const file of list) {
+            contents[file.name] = await file.text();
+        }
+
+        return this.parse(contents);
+    }
+
+    /**
+     * Work out the file format from names and content, then parse it
+     * @param {Object} contents - Map of file name to file text
+     * @returns {Object} - Vocabulary descriptor
+     */
+    parse(contents) {
+        const names = Object.keys(contents);
+        const find = pattern => names.find(name => pattern.test(name));
+
+        const mergesFile = find(/merges\.txt$/i);
+        const jsonFile = find(/\.json$/i);
+        const textFile = find(/\.txt$/i);
+
+        if (mergesFile) {
+            if (!jsonFile) throw new Error('merges.txt needs a matching vocab.json');
+            return this.parseGpt2Files(contents[jsonFile], contents[mergesFile], jsonFile);
+        }
+
+        if (jsonFile) {
+            const data = this.parseJson(contents[jsonFile], jsonFile);
+            if (data.model) return this.parseTokenizerJson(data, jsonFile);
+            throw new Error(`${jsonFile} is a vocab.json; select merges.txt along with it`);
+        }
+
+        if (textFile) return this.parseVocabTxt(contents[textFile], textFile);
+
+        throw new Error('Unsupported file type. Use tokenizer.json, vocab.txt or vocab.json + merges.txt');
+    }
+
+    /**
+     * Parse JSON with a readable error message
+     * @param {string} text - File content
+     * @param {string} fileName - File name for error messages
+     * @returns {Object} - Parsed data
+     */
+    parseJson(text, fileName) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${fileName} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse a Hugging Face tokenizer.json
+     * @param {Object} data - Parsed tokenizer.json
+     * @param {string} fileName - Source file name
+     * @returns {Object} - Vocabulary descriptor
+     */
+    parseTokenizerJson(data, fileName) {
+        const model = data.model;
+
+        // Unigram vocabularies are [piece, logProb] pairs indexed by id
+        if (model.type === 'Unigram') {
+            const pieces = model.vocab || [];
+            const entries = pieces.map(([piece], tokenId) => [piece, tokenId]);
+            return {
+                kind: 'unigram',
+                name: fileName,
+                vocab: new Map(entries),
+                entries: entries,
+                pieces: pieces,
+                unkId: model.unk_id || 0
+            };
+        }
+
+        // Added tokens (special tokens) live outside the model vocabulary
+        const entries = Object.entries(model.vocab || {})
+            .concat((data.added_tokens || []).map(token => [token.content, token.id]));
+        const vocab = new Map(entries);
+
+        if (model.type === 'BPE') {
+            const isByteLevel = [data.pre_tokenizer, data.decoder].some(stage => this.hasByteLevel(stage));
+            if (!isByteLevel) {
+                throw new Error('Only byte-level BPE tokenizer.json files are supported');
+            }
+            return {
+                kind: 'bpe',
+                name: fileName,
+                vocab: vocab,
+                entries: entries,
+                merges: model.merges || []
+            };
+        }
+
+        if (model.type === 'WordPiece') {
+            return this.checkWordPiece({
+                kind: 'wordpiece',
+                name: fileName,
+                vocab: vocab,
+                entries: entries,
+                prefix: model.continuing_subword_prefix,
+                unkToken: model.unk_token,
+                lowercase: this.hasLowercase(data.normalizer)
+            });
+        }
+
+        throw new Error(`Unsupported tokenizer.json model type: ${model.type}`);
+    }
+
+    /**
+     * Check whether a pipeline stage (or any stage of a sequence) is ByteLevel
+     * @param {Object} stage - pre_tokenizer or decoder config
+     * @returns {boolean} - True if byte-level
+     */
+    hasByteLevel(stage) {
+        if (!stage) return false;
+        if (stage.type === 'ByteLevel') return true;
+
+        const children = stage.pretokenizers || stage.decoders || [];
+        return children.some(child => this.hasByteLevel(child));
+    }
+
+    /**
+     * Check whether a normalizer (or any normalizer of a sequence) lowercases
+     * @param {Object} normalizer - normalizer config
+     * @returns {boolean} - True if input is lowercased
+     */
+    hasLowercase(normalizer) {
+        if (!normalizer) return false;
+        if (normalizer.type === 'Lowercase') return true;
+        if (normalizer.type === 'BertNormalizer') return normalizer.lowercase !== false;
+
+        return (normalizer.normalizers || []).some(child => this.hasLowercase(child));
+    }
+
+    /**
+     * Parse a GPT-2 style vocab.json + merges.txt pair
+     * @param {string} vocabText - vocab.json content
+     * @param {string} mergesText - merges.txt content
+     * @param {string} fileName - Source file name
+     * @returns {Object} - Vocabulary descriptor
+     */
+    parseGpt2Files(vocabText, mergesText, fileName) {
+        const vocab = new Map(Object.entries(this.parseJson(vocabText, fileName)));
+
+        // Skip the "#version" header line and blank lines
+        const merges = mergesText.split(/\r?\n/)
+            .filter(line => line.trim() && !line.startsWith('#version'));
+
+        return {
+            kind: 'bpe',
+            name: fileName,
+            vocab: vocab,
+            merges: merges
+        };
+    }
+
+    /**
+     * Parse a WordPiece vocab.txt, where the line number is the token id
+     * @param {string} text - vocab.txt content
+     * @param {string} fileName - Source file name
+     * @returns {Object} - Vocabulary descriptor
+     */
+    parseVocabTxt(text, fileName) {
+        const vocab = new Map();
+        const lines = text.split(/\r?\n/);
+
+        // A trailing newline leaves an empty last line that is not a token
+        if (lines[lines.length - 1] === '') lines.pop();
+
+        const entries = lines.map((token, tokenId) => [token, tokenId]);
+        entries.forEach(([token, tokenId]) => {
+            if (!vocab.has(token)) vocab.set(token, tokenId);
+        });
+
+        // Cased vocabularies contain capitalized words; special tokens do not count
+        const isCased = lines.some(token => !/^\[.*\]$/.test(token) && token !== token.toLowerCase());
+
+        return this.checkWordPiece({
+            kind: 'wordpiece',
+            name: fileName,
+            vocab: vocab,
+            entries: entries,
+            lowercase: !isCased
+        });
+    }
+
+    /**
+     * Reject WordPiece vocabularies that cannot encode text: empty ones, and ones
+     * without the unknown token that words the pieces cannot spell encode as
+     * @param {Object} descriptor - WordPiece vocabulary descriptor
+     * @returns {Object} - The same descriptor
+     */
+    checkWordPiece(descriptor) {
+        if (descriptor.vocab.size === 0) {
+            throw new Error(`${descriptor.name} contains no tokens`);
+        }
+
+        const unkTokens = [descriptor.unkToken, '[UNK]', '<UNK>'].filter(Boolean);
+        if (!unkTokens.some(token => descriptor.vocab.has(token))) {
+            throw new Error(`${descriptor.name} has no unknown token (${unkTokens.join(' or ')})`);
+        }
+
+        return descriptor;
+    }
+}
+
+// Create global instance
+const vocabularyLoader = new VocabularyLoader();
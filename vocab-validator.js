@@ -0,0 +1,82 @@
+/**
+ * ===== AI TOKEN VISUALIZER - VOCABULARY VALIDATOR MODULE =====
+ *
+ * This module checks a vocabulary's id table for drift, including:
+ * - Collisions: one id assigned to several tokens
+ * - Unreachable ids: ids the encoder can never produce because their token maps elsewhere
+ * - Id-range overlaps: token ranges (e.g. words, punctuation, byte fallback) that share ids
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class VocabularyValidator {
+    /**
+     * Validate a vocabulary
+     * @param {Object} options - What to check
+     * @param {Array} options.entries - Every [token, id] assignment, duplicates included
+     * @param {Map} options.vocabulary - Token to id map used for encoding (last assignment wins when omitted)
+     * @param {Array} options.ranges - Id ranges with name, start and end (exclusive)
+     * @returns {Object} - Report with collisions, unreachable ids and range overlaps
+     */
+    validate(options = {}) {
+        const entries = options.entries || [];
+        const vocabulary = options.vocabulary || new Map(entries);
+        const ranges = options.ranges || [];
+
+        // id -> distinct tokens assigned to it
+        const tokensById = new Map();
+        entries.forEach(([token, tokenId]) => {
+            const id = Number(tokenId);
+            if (!tokensById.has(id)) tokensById.set(id, new Set());
+            tokensById.get(id).add(token);
+        });
+
+        const collisions = [];
+        tokensById.forEach((tokens, id) => {
+            if (tokens.size > 1) collisions.push({ id: id, tokens: Array.from(tokens) });
+        });
+
+        const unreachable = [];
+        tokensById.forEach((tokens, id) => {
+            tokens.forEach(token => {
+                if (vocabulary.get(token) !== id) {
+                    unreachable.push({ id: id, token: token, reachableId: vocabulary.get(token) });
+                }
+            });
+        });
+
+        const overlaps = [];
+        ranges.forEach((range, index) => {
+            ranges.slice(index + 1).forEach(other => {
+                const start = Math.max(range.start, other.start);
+                const end = Math.min(range.end, other.end);
+                if (start < end) overlaps.push({ ranges: [range.name, other.name], start: start, end: end });
+            });
+        });
+
+        return {
+            valid: collisions.length === 0 && unreachable.length === 0 && overlaps.length === 0,
+            tokenCount: vocabulary.size,
+            idCount: tokensById.size,
+            collisions: collisions.sort((a, b) => a.id - b.id),
+            unreachable: unreachable.sort((a, b) => a.id - b.id),
+            overlaps: overlaps
+        };
+    }
+
+    /**
+     * Summarize a report in one line
+     * @param {Object} report - Report from validate()
+     * @returns {string} - Summary text
+     */
+    summarize(report) {
+        if (report.valid) return `Vocabulary OK: ${report.tokenCount} tokens, ${report.idCount} ids`;
+
+        return `Vocabulary issues: ${report.collisions.length} id collision(s), ` +
+            `${report.unreachable.length} unreachable id(s), ${report.overlaps.length} range overlap(s)`;
+    }
+}
+
+// Create global instance
+const vocabularyValidator = new VocabularyValidator();
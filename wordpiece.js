@@ -0,0 +1,341 @@
+/**
+ * ===== AI TOKEN VISUALIZER - WORDPIECE MODULE =====
+ *
+ * This module implements a BERT-style WordPiece encoder, including:
+ * - Basic pre-tokenization on whitespace and punctuation
+ * - Greedy longest-match-first subword splitting with ## continuation pieces
+ * - Unknown token fallback for words that cannot be split
+ * - Classifier/separator special tokens around each sequence
+ *
+ * Author: AI Token Visualizer
+ * Version: 1.0.0
+ */
+
+class WordPieceEncoder {
+    /**
+     * @param {Object} options - Encoder options
+     * @param {string} options.name - Display name of the encoder
+     * @param {Map} options.vocab - Token string to id mapping
+     * @param {boolean} options.lowercase - Lowercase input before lookup
+     * @param {string} options.prefix - Continuation prefix (default "##")
+     * @param {string} options.unkToken - Unknown token (detected when omitted)
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'WordPiece';
+        this.type = 'wordpiece';
+        this.prefix = options.prefix || '##';
+        this.lowercase = options.lowercase !== false;
+
+        // Words longer than this become the unknown token, as in BERT
+        this.maxInputCharsPerWord = 100;
+
+        this.loadVocabulary(options.vocab || new Map(), options.unkToken);
+    }
+
+    /**
+     * Build a WordPiece vocabulary on top of an existing word vocabulary
+     * so that its special tokens keep their ids
+     * @param {Map} baseVocabulary - Word lookup vocabulary
+     * @returns {WordPieceEncoder} - Encoder with subword pieces appended
+     */
+    static fromBaseVocabulary(baseVocabulary) {
+        const vocab = new Map(baseVocabulary);
+        let tokenId = Math.max(...vocab.values()) + 1;
+
+        WordPieceEncoder.DEFAULT_PIECES.forEach(piece => {
+            if (!vocab.has(piece)) vocab.set(piece, tokenId++);
+        });
+
+        return new WordPieceEncoder({ vocab: vocab });
+    }
+
+    /**
+     * Load the vocabulary and resolve special tokens
+     * @param {Map} vocab - Token string to id mapping
+     * @param {string} unkToken - Unknown token (optional)
+     */
+    loadVocabulary(vocab, unkToken) {
+        this.vocabulary = new Map();
+        this.reverseVocabulary = new Map();
+
+        for (const [token, tokenId] of vocab.entries()) {
+            this.vocabulary.set(token, Number(tokenId));
+            this.reverseVocabulary.set(Number(tokenId), token);
+        }
+
+        // BERT vocabularies use [CLS]; the built-in vocabulary uses <CLS>
+        const pick = (...candidates) => candidates.find(token => this.vocabulary.has(token)) || null;
+        this.unkToken = unkToken && this.vocabulary.has(unkToken) ? unkToken : pick('[UNK]', '<UNK>');
+        this.clsToken = pick('[CLS]', '<CLS>');
+        this.sepToken = pick('[SEP]', '<SEP>');
+    }
+
+    /**
+     * Encode text to tokens with greedy longest-match-first splitting
+     * @param {string} text - Input text to encode
+     * @param {Object} options - Encoding options
+     * @param {boolean} options.addSpecialTokens - Wrap the sequence in classifier/separator tokens (default true)
+     * @returns {Object} - Encoding result with tokens and steps
+     */
+    encode(text, options = {}) {
+        if (!text) return { tokens: [], steps: [] };
+
+        const steps = [];
+        const tokens = [];
+        const offsets = [];
+
+        const addSpecial = (token, process, offset) => {
+            if (!token) return;
+            const tokenId = this.vocabulary.get(token);
+            tokens.push(tokenId);
+            offsets.push([offset, offset]);
+            steps.push({ step: steps.length + 1, input: token, process: process, output: tokenId, span: [offset, offset], emitted: 1 });
+        };
+
+        const addSpecialTokens = options.addSpecialTokens !== false;
+        if (addSpecialTokens) addSpecial(this.clsToken, `Prepend ${this.clsToken} classifier token`, 0);
+
+        this.splitWords(text).forEach(word => {
+            // Character positions only carry over when lowercasing kept the length
+            const originalChars = Array.from(text.slice(word.start, word.end));
+            const chars = Array.from(word.text);
+            const charOffsets = [];
+            let position = word.start;
+            originalChars.forEach(char => {
+                charOffsets.push(position);
+                position += char.length;
+            });
+            charOffsets.push(word.end);
+
+            const firstStep = steps.length;
+            this.encodeWord(word.text, steps).forEach(piece => {
+                tokens.push(piece.id);
+                offsets.push(chars.length === originalChars.length ?
+                    [charOffsets[piece.start], charOffsets[piece.end]] :
+                    [word.start, word.end]);
+            });
+            steps.slice(firstStep).forEach(step => { step.span = [word.start, word.end]; });
+        });
+
+        if (addSpecialTokens) addSpecial(this.sepToken, `Append ${this.sepToken} separator token`, text.length);
+
+        return {
+            tokens: tokens,
+            offsets: offsets,
+            steps: steps,
+            originalText: text,
+            tokenCount: tokens.length,
+            characterCount: text.length
+        };
+    }
+
+    /**
+     * Split text on whitespace, then split off punctuation and CJK characters
+     * @param {string} text - Input text
+     * @returns {Array} - Words to look up, with their offsets in the input
+     */
+    splitWords(text) {
+        const words = [];
+        let start = -1;
+
+        const flush = (end) => {
+            if (start === -1) return;
+            const word = text.slice(start, end);
+            words.push({ text: this.lowercase ? word.toLowerCase() : word, start: start, end: end });
+            start = -1;
+        };
+
+        let position = 0;
+        for (const char of text) {
+            if (/\s/.test(char)) {
+                flush(position);
+            } else if (/[\p{P}\p{S}\p{Script=Han}]/u.test(char)) {
+                flush(position);
+                start = position;
+                flush(position + char.length);
+            } else if (start === -1) {
+                start = position;
+            }
+            position += char.length;
+        }
+        flush(text.length);
+
+        return words;
+    }
+
+    /**
+     * Greedily split one word into the longest pieces found in the vocabulary
+     * @param {string} word - Word to split
+     * @param {Array} steps - Step list to append to
+     * @returns {Array} - Pieces with token id and start/end character positions in the word
+     */
+    encodeWord(word, steps) {
+        const chars = Array.from(word);
+        const unkId = this.vocabulary.get(this.unkToken);
+        const unknown = [{ id: unkId, start: 0, end: chars.length }];
+
+        if (chars.length > this.maxInputCharsPerWord) {
+            steps.push({
+                step: steps.length + 1,
+                input: word,
+                process: `Longer than ${this.maxInputCharsPerWord} characters, using ${this.unkToken}`,
+                output: unkId,
+                emitted: 1
+            });
+            return unknown;
+        }
+
+        const pieces = [];
+        const pieceSteps = [];
+        let start = 0;
+
+        while (start < chars.length) {
+            const candidates = [];
+            let match = null;
+
+            for (let end = chars.length; end > start; end--) {
+                const piece = (start > 0 ? this.prefix : '') + chars.slice(start, end).join('');
+                candidates.push(piece);
+                if (this.vocabulary.has(piece)) {
+                    match = { piece: piece, end: end };
+                    break;
+                }
+            }
+
+            if (!match) {
+                // One unmatched position makes the whole word unknown
+                steps.push({
+                    step: steps.length + 1,
+                    input: word,
+                    process: `No piece matches at position ${start}, whole word becomes ${this.unkToken}`,
+                    output: unkId,
+                    emitted: 1,
+                    candidates: candidates
+                });
+                return unknown;
+            }
+
+            const tokenId = this.vocabulary.get(match.piece);
+            pieces.push({ id: tokenId, start: start, end: match.end });
+            pieceSteps.push({
+                input: chars.slice(start).join(''),
+                process: `Tried ${candidates.length} candidate(s), longest match "${match.piece}"`,
+                output: tokenId,
+                emitted: 1,
+                candidates: candidates,
+                match: match.piece
+            });
+            start = match.end;
+        }
+
+        pieceSteps.forEach(step => {
+            steps.push(Object.assign({ step: steps.length + 1 }, step));
+        });
+
+        return pieces;
+    }
+
+    /**
+     * Decode tokens back to text, joining ## continuations onto the previous piece
+     * Special tokens are skipped
+     * @param {Array} tokens - Array of token IDs
+     * @returns {Object} - Decoding result with text and steps
+     */
+    decode(tokens) {
+        if (!tokens || tokens.length === 0) return { text: '', steps: [] };
+
+        const steps = [];
+        let decodedText = '';
+
+        tokens.forEach((token, index) => {
+            const step = {
+                step: index + 1,
+                input: token,
+                process: '',
+                output: ''
+            };
+
+            const piece = this.reverseVocabulary.get(token);
+
+            if (piece === undefined) {
+                const unknownText = this.unkToken || '<UNK>';
+                decodedText += (decodedText ? ' ' : '') + unknownText;
+                step.process = `Token ${token} not found, using ${unknownText}`;
+                step.output = unknownText;
+            } else if (piece === this.clsToken || piece === this.sepToken) {
+                step.process = `Token ${token} is ${piece}, skipped`;
+            } else if (piece.startsWith(this.prefix)) {
+                const text = piece.slice(this.prefix.length);
+                decodedText += text;
+                step.process = `Token ${token} is "${piece}", joined to previous piece`;
+                step.output = text;
+            } else {
+                const text = (decodedText ? ' ' : '') + piece;
+                decodedText += text;
+                step.process = `Token ${token} is "${piece}", starts a new word`;
+                step.output = text;
+            }
+
+            steps.push(step);
+        });
+
+        return {
+            text: decodedText,
+            steps: steps,
+            tokenCount: tokens.length
+        };
+    }
+
+    /**
+     * Get the display text of a token
+     * @param {number} token - Token ID
+     * @returns {string} - Piece, including any ## prefix
+     */
+    idToToken(token) {
+        return this.reverseVocabulary.has(token) ? this.reverseVocabulary.get(token) : this.unkToken || '<UNK>';
+    }
+
+    /**
+     * Check whether a token stands for a word the vocabulary cannot split
+     * @param {number} token - Token ID
+     * @returns {boolean} - True for the unknown token or ids outside the vocabulary
+     */
+    isUnknownToken(token) {
+        return token === this.vocabulary.get(this.unkToken) || !this.reverseVocabulary.has(token);
+    }
+
+    /**
+     * Get vocabulary for display
+     * @param {string} searchTerm - Optional search term
+     * @returns {Array} - Vocabulary entries
+     */
+    getVocabulary(searchTerm = '') {
+        const vocab = [];
+        const term = searchTerm.toLowerCase();
+
+        for (const [piece, tokenId] of this.vocabulary.entries()) {
+            if (!term || piece.toLowerCase().includes(term) || tokenId.toString().includes(term)) {
+                vocab.push({
+                    character: piece,
+                    token: tokenId,
+                    type: piece.startsWith(this.prefix) ? 'continuation' : 'vocabulary'
+                });
+            }
+        }
+
+        return vocab.sort((a, b) => a.token - b.token);
+    }
+}
+
+/**
+ * Subword pieces added to the built-in vocabulary for WordPiece mode:
+ * single letters and digits (so most words can be split) plus common affixes
+ */
+WordPieceEncoder.DEFAULT_PIECES = [
+    ...'abcdefghijklmnopqrstuvwxyz0123456789'.split(''),
+    ...'abcdefghijklmnopqrstuvwxyz0123456789'.split('').map(char => `##${char}`),
+    'token', 'word', 'learn', 'model', 'train', 'un', 're', 'pre',
+    '##s', '##es', '##ed', '##ing', '##er', '##ers', '##est', '##ly', '##ize',
+    '##izer', '##ization', '##tion', '##ation', '##ment', '##ness', '##able',
+    '##ful', '##less', '##al', '##ic', '##ity', '##ous', '##ive', '##en'
+];